@@ -7,7 +7,11 @@ const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
 const http = require('http');
 const socketIo = require('socket.io');
-const { connectDB } = require('./config/database');
+const { connectDB, disconnectDB } = require('./config/database');
+const { initChatSocket } = require('./sockets/chatSocket');
+const { scheduleNotificationDigest } = require('./jobs/notificationDigest');
+const { getStorage } = require('./services/storage');
+const auditLog = require('./utils/auditLog');
 
 dotenv.config();
 
@@ -64,6 +68,10 @@ const usersRoutes = require('./routes/users');
 const postsRoutes = require('./routes/posts');
 const chatsRoutes = require('./routes/chats');
 const chatAPIRoutes = require('./routes/chat');
+const notificationsRoutes = require('./routes/notifications');
+const uploadsRoutes = require('./routes/uploads');
+const reportsRoutes = require('./routes/reports');
+const adminRoutes = require('./routes/admin');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -71,6 +79,25 @@ app.use('/api/users', usersRoutes);
 app.use('/api/posts', postsRoutes);
 app.use('/api/chats', chatsRoutes);
 app.use('/api/chat', chatAPIRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Serve uploaded files when they are stored on local disk
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.directory, {
+    dotfiles: 'ignore',
+    index: false,
+    maxAge: '365d', // content-hashed names never change
+    immutable: true,
+    setHeaders: (res) => {
+      // Allow the frontend (another origin) to embed images and media
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    }
+  }));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -102,73 +129,19 @@ app.get('/', (req, res) => {
       'POST /api/chat - Create new chat',
       'GET /api/chat/:chatId/messages - Get messages',
       'POST /api/chat/:chatId/messages - Send message',
+      'GET /api/notifications - Get my notifications',
+      'POST /api/uploads - Upload a file',
+      'GET /api/reports/mine - Get my reports',
+      'GET /api/admin/moderation - Moderation queue (admin)',
+      'GET /api/admin/users - Manage users (admin)',
+      'GET /api/admin/audit - Audit log (admin)',
       'GET /health - Health check'
     ]
   });
 });
 
-// Socket.IO connection handling for real-time chat
-io.on('connection', (socket) => {
-  console.log(`✅ Client connected: ${socket.id}`);
-  
-  // Join room for chat
-  socket.on('join_room', (room) => {
-    socket.join(room);
-    console.log(`🏠 User ${socket.id} joined room: ${room}`);
-    socket.to(room).emit('user_joined', {
-      message: `User joined the chat`,
-      timestamp: new Date()
-    });
-  });
-
-  // Leave room for chat  
-  socket.on('leave_room', (room) => {
-    socket.leave(room);
-    console.log(`🚪 User ${socket.id} left room: ${room}`);
-    socket.to(room).emit('user_left', {
-      message: `User left the chat`,
-      timestamp: new Date()
-    });
-  });
-
-  // Send message for chat
-  socket.on('send_message', (data) => {
-    console.log(`💬 Message in room ${data.room}:`, data.message);
-    // Forward message to all users in the room
-    io.to(data.room).emit('receive_message', {
-      id: Date.now().toString(),
-      message: data.message,
-      sender: data.sender || 'User',
-      room: data.room,
-      timestamp: new Date()
-    });
-  });
-
-  // Typing indicators
-  socket.on('typing_start', (data) => {
-    socket.to(data.room).emit('user_typing', {
-      userId: socket.id,
-      room: data.room,
-      isTyping: true
-    });
-  });
-
-  socket.on('typing_stop', (data) => {
-    socket.to(data.room).emit('user_typing', {
-      userId: socket.id, 
-      room: data.room,
-      isTyping: false
-    });
-  });
-  
-  socket.on('disconnect', (reason) => {
-    console.log(`🔌 Client disconnected: ${socket.id} - ${reason}`);
-  });
-  
-  socket.on('error', (error) => {
-    console.error(`⚠️ Socket error: ${socket.id}`, error);
-  });
-});
+// Socket.IO authentication and real-time chat events
+initChatSocket(io);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -188,9 +161,22 @@ app.use('*', (req, res) => {
   });
 });
 
+// Secrets required to sign tokens: access and refresh tokens must not share a secret
+const checkRequiredEnv = () => {
+  const missing = ['JWT_SECRET', 'JWT_REFRESH_SECRET'].filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+  if (process.env.JWT_SECRET === process.env.JWT_REFRESH_SECRET) {
+    throw new Error('JWT_REFRESH_SECRET must be different from JWT_SECRET');
+  }
+};
+
 // Main function to start server
 const startServer = async () => {
   try {
+    checkRequiredEnv();
+
     // STEP 1: Connect to MongoDB BEFORE starting server
     console.log('📊 Starting MongoDB connection...');
     await connectDB();
@@ -199,7 +185,12 @@ const startServer = async () => {
     console.log('📋 UCN Community models loaded');
     console.log(`   - User: ${User.collection.collectionName}`);
     
-    // STEP 3: Start server on port
+    // STEP 3: Schedule background jobs
+    if (process.env.NODE_ENV !== 'test' && process.env.DIGEST_ENABLED !== 'false') {
+      scheduleNotificationDigest();
+    }
+    
+    // STEP 4: Start server on port
     server.listen(PORT, () => {
       console.log(`\n🚀 ===== UCN COMMUNITY API =====`);
       console.log(`✅ Server running on port ${PORT}`);
@@ -217,16 +208,39 @@ const startServer = async () => {
   }
 };
 
+// Write buffered audit entries before the process exits
+let shuttingDown = false;
+const shutdown = async (code) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  try {
+    await auditLog.flushAll();
+    await disconnectDB();
+  } finally {
+    process.exit(code);
+  }
+};
+
+// Graceful shutdown on restart / stop
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+  process.on(signal, () => {
+    console.log(`🛑 ${signal} received, shutting down...`);
+    server.close();
+    shutdown(0);
+  });
+});
+
 // Handle uncaught errors
 process.on('uncaughtException', (err) => {
   console.error('❌ Uncaught Exception:', err);
-  process.exit(1);
+  shutdown(1);
 });
 
 process.on('unhandledRejection', (err) => {
   console.error('❌ Unhandled Rejection:', err);
   server.close(() => {
-    process.exit(1);
+    shutdown(1);
   });
 });
 
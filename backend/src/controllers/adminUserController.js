@@ -0,0 +1,133 @@
+const adminUserService = require('../services/adminUserService');
+const { asyncHandler, createResponse, handleServiceError } = require('../utils/helpers');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+const { requestContext } = require('../utils/auditLog');
+
+// @desc    Buscar usuarios
+// @route   GET /api/admin/users
+// @access  Admin
+// @query   search, role, accountStatus, verificado, cursor, limit
+const getUsers = asyncHandler(async (req, res) => {
+  const { search, role, accountStatus, verificado, cursor, limit } = req.query;
+
+  if (role && !adminUserService.ROLES.includes(role)) {
+    return res.status(400).json(createResponse(false, 'Rol no válido', null, {
+      rolesValidos: adminUserService.ROLES
+    }));
+  }
+
+  if (accountStatus && !adminUserService.ESTADOS_CUENTA.includes(accountStatus)) {
+    return res.status(400).json(createResponse(false, 'Estado de cuenta no válido', null, {
+      estadosValidos: adminUserService.ESTADOS_CUENTA
+    }));
+  }
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  try {
+    const { users, pagination } = await adminUserService.listUsers({
+      search,
+      role,
+      accountStatus,
+      verificado,
+      cursor: decoded,
+      limit: parseLimit(limit)
+    });
+
+    res.json(createResponse(true, 'Usuarios obtenidos exitosamente', {
+      users,
+      pagination
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'buscando usuarios');
+  }
+});
+
+// @desc    Suspender una cuenta
+// @route   POST /api/admin/users/:id/suspend
+// @access  Admin
+const suspendUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminUserService.suspendUser(req.user, req.params.id, {
+      razon: req.body.razon,
+      hasta: req.body.hasta
+    }, requestContext(req));
+
+    res.json(createResponse(true, 'Cuenta suspendida exitosamente', { user }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'suspendiendo cuenta');
+  }
+});
+
+// @desc    Levantar la suspensión de una cuenta
+// @route   POST /api/admin/users/:id/unsuspend
+// @access  Admin
+const unsuspendUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminUserService.unsuspendUser(req.user, req.params.id, requestContext(req));
+
+    res.json(createResponse(true, 'Suspensión levantada exitosamente', { user }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'levantando suspensión');
+  }
+});
+
+// @desc    Desbloquear una cuenta bloqueada por intentos fallidos
+// @route   POST /api/admin/users/:id/unlock
+// @access  Admin
+const unlockUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminUserService.unlockUser(req.user, req.params.id, requestContext(req));
+
+    res.json(createResponse(true, 'Cuenta desbloqueada exitosamente', { user }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'desbloqueando cuenta');
+  }
+});
+
+// @desc    Marcar una cuenta como verificada
+// @route   POST /api/admin/users/:id/verify
+// @access  Admin
+const verifyUser = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminUserService.verifyUser(req.user, req.params.id, requestContext(req));
+
+    res.json(createResponse(true, 'Cuenta verificada exitosamente', { user }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'verificando cuenta');
+  }
+});
+
+// @desc    Cambiar el rol de un usuario
+// @route   PUT /api/admin/users/:id/role
+// @access  Admin
+const changeUserRole = asyncHandler(async (req, res) => {
+  try {
+    const user = await adminUserService.changeRole(req.user, req.params.id, req.body.role, requestContext(req));
+
+    res.json(createResponse(true, 'Rol actualizado exitosamente', { user }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'cambiando rol');
+  }
+});
+
+module.exports = {
+  getUsers,
+  suspendUser,
+  unsuspendUser,
+  unlockUser,
+  verifyUser,
+  changeUserRole
+};
@@ -0,0 +1,92 @@
+const auditService = require('../services/auditService');
+const { asyncHandler, createResponse, logAction } = require('../utils/helpers');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+const { requestContext } = require('../utils/auditLog');
+
+/**
+ * Filtros del registro de auditoría recibidos en la query
+ */
+const getAuditFilters = (req) => {
+  const { action, actor, actorEmail, targetType, targetId, ip, from, to } = req.query;
+  return { action, actor, actorEmail, targetType, targetId, ip, from, to };
+};
+
+// @desc    Consultar el registro de auditoría
+// @route   GET /api/admin/audit
+// @access  Admin
+// @query   action, actor, actorEmail, targetType, targetId, ip, from, to, cursor, limit
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  try {
+    const { logs, pagination } = await auditService.listLogs(getAuditFilters(req), {
+      cursor: decoded,
+      limit: parseLimit(limit, 50, 200)
+    });
+
+    res.json(createResponse(true, 'Registro de auditoría obtenido exitosamente', {
+      logs,
+      pagination
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
+    }
+
+    console.error('Error obteniendo registro de auditoría:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Exportar el registro de auditoría en CSV
+// @route   GET /api/admin/audit/export
+// @access  Admin
+// @query   action, actor, actorEmail, targetType, targetId, ip, from, to
+const exportAuditLogs = asyncHandler(async (req, res) => {
+  const filters = getAuditFilters(req);
+
+  try {
+    // Validar los filtros antes de empezar a enviar el archivo
+    auditService.buildFilters(filters);
+  } catch (error) {
+    return res.status(error.status || 400).json(createResponse(false, error.message));
+  }
+
+  const fecha = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${fecha}.csv"`);
+
+  try {
+    // exportCsv termina la respuesta al escribir la última fila
+    const rows = await auditService.exportCsv(filters, res);
+
+    logAction('AUDIT_EXPORT', req.user.email, `Filas: ${rows}`, {
+      ...requestContext(req),
+      metadata: { filtros: filters, filas: rows }
+    });
+
+  } catch (error) {
+    // Descarga cancelada por el cliente: el cursor ya quedó cerrado
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+
+    // Con el archivo ya iniciado solo queda cortar la respuesta
+    console.error('Error exportando registro de auditoría:', error);
+    res.destroy(error);
+  }
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
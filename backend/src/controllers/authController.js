@@ -3,30 +3,43 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { validateRutFormat } = require('../utils/validateRUT');
+const { verifyRefreshToken } = require('../middleware/auth');
+const { logAction, hashToken, suspensionMessage } = require('../utils/helpers');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailer');
 
 /**
  * Generar tokens JWT
  * @param {string} userId - ID del usuario
+ * @param {object} options - { family, remember, tokenVersion }
  * @returns {object} - { accessToken, refreshToken, tokenExpiry }
  */
-const generateTokens = (userId) => {
+const generateTokens = (userId, { family = crypto.randomUUID(), remember = false, tokenVersion = 0 } = {}) => {
   const payload = { id: userId };
   
+  // `type` distingue ambos tokens: protect solo acepta 'access'.
+  // `tokenVersion` deja de coincidir al revocar todas las sesiones
   const accessToken = jwt.sign(
-    payload,
+    { ...payload, type: 'access', tokenVersion },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    { expiresIn: remember ? '30d' : (process.env.JWT_EXPIRES_IN || '15m') }
   );
   
   const refreshToken = jwt.sign(
-    payload,
+    { ...payload, type: 'refresh', family },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    {
+      expiresIn: remember ? '90d' : (process.env.JWT_REFRESH_EXPIRES_IN || '7d'),
+      jwtid: crypto.randomUUID()
+    }
   );
 
   // Calcular fecha de expiración
   const tokenExpiry = new Date();
-  tokenExpiry.setMinutes(tokenExpiry.getMinutes() + 15); // 15 minutos por defecto
+  if (remember) {
+    tokenExpiry.setDate(tokenExpiry.getDate() + 30);
+  } else {
+    tokenExpiry.setMinutes(tokenExpiry.getMinutes() + 15); // 15 minutos por defecto
+  }
 
   return {
     accessToken,
@@ -35,6 +48,28 @@ const generateTokens = (userId) => {
   };
 };
 
+/**
+ * Generar tokens y registrar el hash del refresh token en el usuario
+ * @param {object} user - Documento del usuario
+ * @param {object} req - Request de Express (IP y User-Agent)
+ * @param {object} options - { family, remember }
+ * @returns {Promise<object>} - { accessToken, refreshToken, tokenExpiry }
+ */
+const issueSession = async (user, req, options = {}) => {
+  const tokens = generateTokens(user._id, { ...options, tokenVersion: user.tokenVersion || 0 });
+  const { family, exp } = jwt.decode(tokens.refreshToken);
+
+  await user.addRefreshToken(tokens.refreshToken, {
+    family,
+    expiresAt: new Date(exp * 1000),
+    remember: Boolean(options.remember),
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return tokens;
+};
+
 /**
  * Generar código de verificación de email
  * @returns {string} - Código de 6 dígitos
@@ -168,11 +203,15 @@ const register = async (req, res) => {
 
     await newUser.save();
 
-    // TODO: Enviar email de verificación
-    console.log(`Código de verificación para ${email}: ${emailVerificationCode}`);
+    // Enviar email de verificación (un fallo de envío no impide el registro)
+    try {
+      await sendVerificationEmail(newUser, emailVerificationCode);
+    } catch (mailError) {
+      console.error('Error enviando email de verificación:', mailError);
+    }
 
     // Generar tokens
-    const tokens = generateTokens(newUser._id);
+    const tokens = await issueSession(newUser, req);
 
     // Preparar respuesta del usuario (sin datos sensibles)
     const userResponse = {
@@ -278,11 +317,15 @@ const login = async (req, res) => {
     }
 
     // Verificar estado de la cuenta
-    if (user.accountStatus === 'suspended') {
+    if (user.isSuspended()) {
       return res.status(403).json({
         success: false,
-        message: 'Cuenta suspendida. Contacta al administrador.',
-        errors: [{ field: 'account', message: 'Cuenta suspendida' }]
+        message: suspensionMessage(user.suspension),
+        errors: [{ field: 'account', message: 'Cuenta suspendida' }],
+        suspension: {
+          razon: user.suspension?.razon || null,
+          hasta: user.suspension?.hasta || null
+        }
       });
     }
 
@@ -302,18 +345,7 @@ const login = async (req, res) => {
     await user.save();
 
     // Generar tokens (más larga duración si remember_me es true)
-    let tokens;
-    if (remember_me) {
-      const payload = { id: user._id };
-      const accessToken = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '30d' });
-      const refreshToken = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, { expiresIn: '90d' });
-      const tokenExpiry = new Date();
-      tokenExpiry.setDate(tokenExpiry.getDate() + 30);
-      
-      tokens = { accessToken, refreshToken, tokenExpiry: tokenExpiry.toISOString() };
-    } else {
-      tokens = generateTokens(user._id);
-    }
+    const tokens = await issueSession(user, req, { remember: Boolean(remember_me) });
 
     // Preparar respuesta del usuario
     const userResponse = {
@@ -546,8 +578,16 @@ const resendVerification = async (req, res) => {
 
     await user.save();
 
-    // TODO: Enviar email de verificación
-    console.log(`Nuevo código de verificación para ${email}: ${emailVerificationCode}`);
+    try {
+      await sendVerificationEmail(user, emailVerificationCode);
+    } catch (mailError) {
+      console.error('Error enviando email de verificación:', mailError);
+      return res.status(502).json({
+        success: false,
+        message: 'No se pudo enviar el código de verificación. Intenta de nuevo más tarde.',
+        errors: [{ field: 'email', message: 'Error enviando email' }]
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -568,10 +608,257 @@ const resendVerification = async (req, res) => {
   }
 };
 
+/**
+ * Renovar tokens con un refresh token (rotación con detección de reutilización)
+ * @route POST /api/auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (jwtError) {
+      return res.status(401).json({
+        success: false,
+        message: jwtError.name === 'TokenExpiredError'
+          ? 'Tu sesión ha expirado. Por favor, inicia sesión nuevamente'
+          : 'Refresh token inválido',
+        errors: [{ field: 'refreshToken', message: 'Refresh token inválido o expirado' }]
+      });
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.id || !decoded.family) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido',
+        errors: [{ field: 'refreshToken', message: 'Refresh token inválido o expirado' }]
+      });
+    }
+
+    const rotation = await User.rotateRefreshToken(decoded.id, token);
+
+    if (rotation.status === 'reused') {
+      // Un token ya rotado volvió a usarse: se revoca toda la familia
+      await User.revokeRefreshTokenFamily(decoded.id, rotation.entry.family);
+      logAction('AUTH_REFRESH_TOKEN_REUSE', decoded.id, `IP: ${req.ip} - Familia ${rotation.entry.family} revocada`, { req });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión revocada por seguridad. Por favor, inicia sesión nuevamente',
+        errors: [{ field: 'refreshToken', message: 'Refresh token reutilizado' }]
+      });
+    }
+
+    if (rotation.status !== 'rotated') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido',
+        errors: [{ field: 'refreshToken', message: 'Refresh token inválido o expirado' }]
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user || !user.activo || user.isSuspended() || user.isAccountLocked()) {
+      await User.revokeRefreshTokenFamily(decoded.id, rotation.entry.family);
+
+      return res.status(403).json({
+        success: false,
+        message: 'La cuenta no puede iniciar sesión. Contacta al administrador.',
+        errors: [{ field: 'account', message: 'Cuenta no disponible' }]
+      });
+    }
+
+    const tokens = await issueSession(user, req, {
+      family: rotation.entry.family,
+      remember: rotation.entry.remember
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tokens renovados exitosamente',
+      data: tokens
+    });
+
+  } catch (error) {
+    console.error('Error renovando tokens:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      errors: [{ field: 'server', message: 'Error interno del servidor' }]
+    });
+  }
+};
+
+/**
+ * Cerrar sesión en el dispositivo actual (revoca la familia del refresh token)
+ * @route POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    let decoded = null;
+    try {
+      decoded = verifyRefreshToken(token);
+    } catch (jwtError) {
+      // Un token expirado o inválido ya no abre sesión: no hay nada que revocar
+      decoded = null;
+    }
+
+    if (decoded && decoded.type === 'refresh' && decoded.id && decoded.family) {
+      await User.revokeRefreshTokenFamily(decoded.id, decoded.family);
+      logAction('AUTH_LOGOUT', decoded.id, `IP: ${req.ip}`, { req });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada exitosamente'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando sesión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      errors: [{ field: 'server', message: 'Error interno del servidor' }]
+    });
+  }
+};
+
+/**
+ * Cerrar sesión en todos los dispositivos
+ * @route POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    await User.revokeAllSessions(req.user.id);
+    logAction('AUTH_LOGOUT_ALL', req.user.email, `IP: ${req.ip}`, { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión cerrada en todos los dispositivos'
+    });
+
+  } catch (error) {
+    console.error('Error cerrando todas las sesiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      errors: [{ field: 'server', message: 'Error interno del servidor' }]
+    });
+  }
+};
+
+/**
+ * Solicitar recuperación de contraseña
+ * Responde lo mismo exista o no la cuenta para no revelar emails registrados
+ * @route POST /api/auth/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user && user.activo) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const resetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hora
+
+      user.passwordResetToken = hashToken(resetToken);
+      user.passwordResetExpires = resetExpires;
+      await user.save();
+
+      // Un fallo de envío no se informa al cliente para no revelar si la cuenta existe
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+      } catch (mailError) {
+        console.error('Error enviando email de recuperación:', mailError);
+      }
+
+      logAction('AUTH_PASSWORD_RESET_REQUESTED', user.email, `IP: ${req.ip}`, { req });
+    } else {
+      logAction('AUTH_PASSWORD_RESET_UNKNOWN_EMAIL', email, `IP: ${req.ip}`, { req });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Si el email está registrado, recibirás instrucciones para restablecer tu contraseña.'
+    });
+
+  } catch (error) {
+    console.error('Error solicitando recuperación de contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      errors: [{ field: 'server', message: 'Error interno del servidor' }]
+    });
+  }
+};
+
+/**
+ * Restablecer contraseña con token de recuperación
+ * @route POST /api/auth/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consumir el token de forma atómica: solo la primera petición lo encuentra
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    ).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'El enlace de recuperación es inválido o ha expirado',
+        errors: [{ field: 'token', message: 'Token inválido o expirado' }]
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+    user.password = await bcrypt.hash(password, saltRounds);
+
+    // Guarda la contraseña y limpia intentos fallidos / bloqueo
+    await user.resetLoginAttempts();
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await User.revokeAllSessions(user._id);
+
+    logAction('AUTH_PASSWORD_RESET', user.email, `IP: ${req.ip}`, { req });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña.'
+    });
+
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      errors: [{ field: 'server', message: 'Error interno del servidor' }]
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
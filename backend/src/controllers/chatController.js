@@ -2,8 +2,27 @@ const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const { asyncHandler, createResponse } = require('../utils/helpers');
+const {
+  sendChatMessage,
+  forwardMessage: forwardChatMessage,
+  summarizeReactions,
+  reactToMessage: reactToChatMessage,
+  getReadBy,
+  markRead,
+  countUnread,
+  getUnreadSummary: getChatsUnreadSummary,
+  editMessage,
+  deleteMessage: deleteChatMessage,
+  isWithinEditWindow,
+  enrichOwnMessage
+} = require('../services/messageService');
+const { notifyMany } = require('../services/notificationService');
+const { decodeCursor, parseLimit, paginate } = require('../utils/pagination');
 const { validationResult } = require('express-validator');
 
+// Campos por los que se puede ordenar la lista de chats
+const CHAT_SORT_FIELDS = ['fecha_actualizacion', 'fecha_creacion'];
+
 // @desc    Obtener todos los chats del usuario
 // @route   GET /api/chats
 // @access  Protected
@@ -11,7 +30,8 @@ const getUserChats = asyncHandler(async (req, res) => {
   const {
     tipo,
     search,
-    page = 1,
+    page,
+    cursor,
     limit = 20,
     sortBy = 'fecha_actualizacion',
     order = 'desc'
@@ -38,96 +58,82 @@ const getUserChats = asyncHandler(async (req, res) => {
     ];
   }
 
-  // Configurar paginación
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-  const skip = (pageNum - 1) * limitNum;
+  // Paginación: `cursor` (recomendado) o `page` (modo clásico)
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
 
   // Configurar ordenamiento
   const sortOrder = order === 'desc' ? -1 : 1;
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder;
+  const sortField = CHAT_SORT_FIELDS.includes(sortBy) ? sortBy : 'fecha_actualizacion';
 
   try {
-    const [chats, totalChats] = await Promise.all([
-      Chat.find(filters)
+    const { items: chats, pagination } = await paginate(Chat, filters, {
+      sortField,
+      order: sortOrder,
+      cursor: decoded,
+      page: decoded ? undefined : page,
+      limit: limitNum,
+      build: (query) => query
         .populate('participantes.usuario', 'name foto_perfil')
         .populate('ultimo_mensaje.emisor', 'name foto_perfil')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
         .lean(),
-      Chat.countDocuments(filters)
-    ]);
+      totalKey: 'totalChats'
+    });
+
+    // Mensajes no leídos de todos los chats de la página en una sola agregación
+    const unreadCounts = await countUnread(chats, userId);
 
     // Enriquecer datos de chat
-    const enrichedChats = await Promise.all(
-      chats.map(async (chat) => {
-        // Calcular mensajes no leídos para este usuario
-        const userParticipant = chat.participantes.find(p => 
-          p.usuario._id.toString() === userId.toString()
-        );
+    const enrichedChats = chats.map((chat) => {
+      const userParticipant = chat.participantes.find(p => 
+        p.usuario._id.toString() === userId.toString()
+      );
 
-        let unreadCount = 0;
-        if (userParticipant && chat.ultimo_mensaje?.mensaje_id) {
-          unreadCount = await Message.countDocuments({
-            chat_id: chat._id,
-            fecha_envio: { 
-              $gt: userParticipant.ultimo_mensaje_visto 
-                ? userParticipant.fecha_ultimo_acceso 
-                : userParticipant.fecha_union 
-            },
-            sender_id: { $ne: userId },
-            eliminado: false
-          });
-        }
+      const unreadCount = unreadCounts.get(chat._id.toString()) || 0;
 
-        // Preparar información de participantes para display
-        let displayName = chat.nombre_grupo;
-        let displayImage = chat.imagen_grupo;
-
-        if (chat.tipo === 'individual') {
-          // Para chats individuales, mostrar info del otro usuario
-          const otherParticipant = chat.participantes.find(p => 
-            p.usuario._id.toString() !== userId.toString()
-          );
-          if (otherParticipant) {
-            displayName = otherParticipant.usuario.name;
-            displayImage = otherParticipant.usuario.foto_perfil;
-          }
-        }
+      // Preparar información de participantes para display
+      let displayName = chat.nombre_grupo;
+      let displayImage = chat.imagen_grupo;
 
-        return {
-          _id: chat._id,
-          tipo: chat.tipo,
-          nombre_display: displayName,
-          imagen_display: displayImage,
-          descripcion: chat.descripcion,
-          participantes_count: chat.participantes.filter(p => p.activo).length,
-          ultimo_mensaje: chat.ultimo_mensaje,
-          fecha_actualizacion: chat.fecha_actualizacion,
-          mensajes_no_leidos: unreadCount,
-          user_role: userParticipant ? userParticipant.rol : 'miembro',
-          campus: chat.campus,
-          carrera: chat.carrera,
-          materia: chat.materia,
-          silenciado: userParticipant ? userParticipant.silenciado : false
-        };
-      })
-    );
+      if (chat.tipo === 'individual') {
+        // Para chats individuales, mostrar info del otro usuario
+        const otherParticipant = chat.participantes.find(p => 
+          p.usuario._id.toString() !== userId.toString()
+        );
+        if (otherParticipant) {
+          displayName = otherParticipant.usuario.name;
+          displayImage = otherParticipant.usuario.foto_perfil;
+        }
+      }
 
-    const totalPages = Math.ceil(totalChats / limitNum);
+      return {
+        _id: chat._id,
+        tipo: chat.tipo,
+        nombre_display: displayName,
+        imagen_display: displayImage,
+        descripcion: chat.descripcion,
+        participantes_count: chat.participantes.filter(p => p.activo).length,
+        ultimo_mensaje: chat.ultimo_mensaje,
+        fecha_actualizacion: chat.fecha_actualizacion,
+        mensajes_no_leidos: unreadCount,
+        user_role: userParticipant ? userParticipant.rol : 'miembro',
+        campus: chat.campus,
+        carrera: chat.carrera,
+        materia: chat.materia,
+        silenciado: userParticipant ? userParticipant.silenciado : false
+      };
+    });
 
     res.json(createResponse(true, 'Chats obtenidos exitosamente', {
       chats: enrichedChats,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalChats,
-        limit: limitNum,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
-      }
+      pagination
     }));
 
   } catch (error) {
@@ -136,6 +142,21 @@ const getUserChats = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Resumen de mensajes no leídos del usuario (badges)
+// @route   GET /api/chats/unread-summary
+// @access  Protected
+const getUnreadSummary = asyncHandler(async (req, res) => {
+  try {
+    const summary = await getChatsUnreadSummary(req.user.id);
+
+    res.json(createResponse(true, 'Resumen de no leídos obtenido exitosamente', summary));
+
+  } catch (error) {
+    console.error('Error obteniendo resumen de no leídos:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
 // @desc    Crear un nuevo chat
 // @route   POST /api/chats
 // @access  Protected
@@ -256,6 +277,19 @@ const createChat = asyncHandler(async (req, res) => {
     const chat = new Chat(chatData);
     await chat.save();
 
+    await notifyMany(
+      participantIds.filter(id => id.toString() !== creatorId.toString()),
+      {
+        emisor: creatorId,
+        tipo: 'chat_agregado',
+        titulo: tipo === 'individual' ? 'Nueva conversación' : 'Te agregaron a un chat',
+        mensaje: tipo === 'individual'
+          ? `${req.user.name} inició una conversación contigo`
+          : `${req.user.name} te agregó a "${chat.nombre_grupo}"`,
+        referencia: { tipo: 'chat', id: chat._id, tipo_modelo: 'Chat' }
+      }
+    );
+
     // Poblar datos para respuesta
     await chat.populate('participantes.usuario', 'name foto_perfil carrera campus');
 
@@ -295,7 +329,8 @@ const createChat = asyncHandler(async (req, res) => {
 const getChatMessages = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const {
-    page = 1,
+    page,
+    cursor, // nextCursor carga mensajes anteriores, prevCursor mensajes nuevos
     limit = 50,
     before, // Para cargar mensajes anteriores a un mensaje específico
     search
@@ -303,6 +338,15 @@ const getChatMessages = asyncHandler(async (req, res) => {
 
   const userId = req.user.id;
 
+  // Paginación: `cursor` (recomendado) o `page` (modo clásico)
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
   try {
     // Verificar que el usuario sea participante del chat
     const chat = await Chat.findById(id);
@@ -318,7 +362,8 @@ const getChatMessages = asyncHandler(async (req, res) => {
     // Construir filtros para mensajes
     const filters = {
       chat_id: id,
-      eliminado: false
+      eliminado: false,
+      moderado: { $ne: true }
     };
 
     // Filtro para cargar mensajes anteriores
@@ -331,22 +376,21 @@ const getChatMessages = asyncHandler(async (req, res) => {
       filters.contenido = { $regex: search, $options: 'i' };
     }
 
-    // Configurar paginación
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-    const skip = (pageNum - 1) * limitNum;
+    const limitNum = parseLimit(limit, 50, 100);
 
     // Obtener mensajes ordenados por fecha (más recientes primero)
-    const [messages, totalMessages] = await Promise.all([
-      Message.find(filters)
+    const { items: messages, pagination } = await paginate(Message, filters, {
+      sortField: 'fecha_envio',
+      order: -1,
+      cursor: decoded,
+      page: decoded ? undefined : page,
+      limit: limitNum,
+      build: (query) => query
         .populate('sender_id', 'name foto_perfil verificado')
         .populate('respuesta_a.autor_original', 'name foto_perfil')
-        .sort({ fecha_envio: -1 })
-        .skip(skip)
-        .limit(limitNum)
         .lean(),
-      Message.countDocuments(filters)
-    ]);
+      totalKey: 'totalMessages'
+    });
 
     // Marcar mensajes como leídos
     const unreadMessages = messages.filter(msg => 
@@ -354,15 +398,11 @@ const getChatMessages = asyncHandler(async (req, res) => {
       !msg.leido.some(read => read.usuario.toString() === userId.toString())
     );
 
-    if (unreadMessages.length > 0) {
-      const unreadIds = unreadMessages.map(msg => msg._id);
-      await Message.updateMany(
-        { _id: { $in: unreadIds } },
-        { $push: { leido: { usuario: userId, fecha_lectura: new Date() } } }
-      );
-
-      // Actualizar último mensaje visto del usuario en el chat
-      await chat.markAsRead(userId, messages[0]?._id);
+    // Mismo camino que el evento messages_read: marca hasta el mensaje más reciente
+    // de la página, avanza el último visto y difunde read_receipt al emisor.
+    // Una búsqueda no marca nada: los mensajes que no coinciden no se mostraron
+    if (!search && unreadMessages.length > 0) {
+      await markRead(chat._id, userId, messages[0]._id);
     }
 
     // Enriquecer mensajes con información adicional
@@ -370,29 +410,20 @@ const getChatMessages = asyncHandler(async (req, res) => {
       ...message,
       is_own: message.sender_id._id.toString() === userId.toString(),
       total_reacciones: message.reacciones ? message.reacciones.length : 0,
+      reacciones_resumen: summarizeReactions(message.reacciones),
       user_reaction: message.reacciones?.find(r => 
         r.usuario.toString() === userId.toString()
       )?.emoji || null,
       read_by_count: message.leido ? message.leido.length : 0,
       can_edit: message.sender_id._id.toString() === userId.toString() && 
-                message.tipo_mensaje === 'texto' &&
-                (Date.now() - new Date(message.fecha_envio).getTime()) < (15 * 60 * 1000), // 15 minutos
+                isWithinEditWindow(message), // MESSAGE_EDIT_WINDOW_MINUTES
       can_delete: message.sender_id._id.toString() === userId.toString() ||
-                  chat.getUserRole(userId) === 'admin'
+                  chat.canDeleteMessages(userId)
     }));
 
-    const totalPages = Math.ceil(totalMessages / limitNum);
-
     res.json(createResponse(true, 'Mensajes obtenidos exitosamente', {
       messages: enrichedMessages.reverse(), // Revertir para mostrar cronológicamente
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalMessages,
-        limit: limitNum,
-        hasNextPage: pageNum < totalPages,
-        hasPrevPage: pageNum > 1
-      },
+      pagination,
       chat: {
         _id: chat._id,
         tipo: chat.tipo,
@@ -421,120 +452,182 @@ const sendMessage = asyncHandler(async (req, res) => {
 
   try {
     const { id } = req.params;
-    const {
-      contenido,
-      tipo_mensaje = 'texto',
-      respuesta_a,
-      archivo,
-      ubicacion
-    } = req.body;
-
     const userId = req.user.id;
 
-    // Verificar que el chat existe y el usuario es participante
-    const chat = await Chat.findById(id);
-    if (!chat) {
-      return res.status(404).json(createResponse(false, 'Chat no encontrado'));
-    }
+    const { message } = await sendChatMessage(id, userId, req.body);
 
-    const isParticipant = chat.isUserParticipant(userId);
-    if (!isParticipant) {
-      return res.status(403).json(createResponse(false, 'No tienes acceso a este chat'));
+    res.status(201).json(createResponse(true, 'Mensaje enviado exitosamente', {
+      message: enrichOwnMessage(message)
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
     }
 
-    // Verificar permisos para enviar mensajes
-    const userRole = chat.getUserRole(userId);
-    if (chat.configuracion?.solo_admins_pueden_escribir && userRole !== 'admin') {
-      return res.status(403).json(createResponse(false, 'Solo los administradores pueden escribir en este chat'));
+    console.error('Error enviando mensaje:', error);
+    
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json(createResponse(false, 'Error de validación', null, {
+        errors: validationErrors
+      }));
     }
 
-    // Verificar si el usuario está silenciado
-    const userParticipant = chat.participantes.find(p => 
-      p.usuario.toString() === userId.toString()
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Reenviar un mensaje a uno o más chats del usuario
+// @route   POST /api/chats/:id/messages/:messageId/forward
+// @access  Protected (participantes del chat de origen y de los destinos)
+const forwardMessage = asyncHandler(async (req, res) => {
+  try {
+    const messages = await forwardChatMessage(
+      req.params.id,
+      req.user.id,
+      req.params.messageId,
+      req.body.chat_ids
     );
-    if (userParticipant?.silenciado) {
-      return res.status(403).json(createResponse(false, 'Has sido silenciado en este chat'));
+
+    res.status(201).json(createResponse(true, 'Mensaje reenviado exitosamente', {
+      messages: messages.map(enrichOwnMessage)
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
     }
 
-    // Crear el mensaje
-    const messageData = {
-      chat_id: id,
-      sender_id: userId,
-      tipo_mensaje
-    };
+    console.error('Error reenviando mensaje:', error);
 
-    // Agregar contenido según el tipo
-    if (tipo_mensaje === 'texto') {
-      if (!contenido || contenido.trim().length === 0) {
-        return res.status(400).json(createResponse(false, 'El contenido es requerido para mensajes de texto'));
-      }
-      messageData.contenido = contenido.trim();
-    } else if (tipo_mensaje === 'archivo') {
-      if (!archivo) {
-        return res.status(400).json(createResponse(false, 'Los datos del archivo son requeridos'));
-      }
-      messageData.archivo = archivo;
-      messageData.contenido = archivo.nombre_original;
-    } else if (tipo_mensaje === 'ubicacion') {
-      if (!ubicacion) {
-        return res.status(400).json(createResponse(false, 'Los datos de ubicación son requeridos'));
-      }
-      messageData.ubicacion = ubicacion;
-      messageData.contenido = ubicacion.nombre_lugar || 'Ubicación compartida';
+    if (error.name === 'ValidationError') {
+      const validationErrors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json(createResponse(false, 'Error de validación', null, {
+        errors: validationErrors
+      }));
     }
 
-    // Agregar respuesta si existe
-    if (respuesta_a) {
-      const originalMessage = await Message.findById(respuesta_a).populate('sender_id', 'name');
-      if (originalMessage && originalMessage.chat_id.toString() === id) {
-        messageData.respuesta_a = {
-          mensaje_id: originalMessage._id,
-          contenido_preview: originalMessage.contenido.substring(0, 100),
-          autor_original: originalMessage.sender_id._id
-        };
-      }
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Reaccionar a un mensaje (el mismo emoji quita la reacción)
+// @route   POST /api/chats/:id/messages/:messageId/reactions
+// @access  Protected (participantes del chat)
+const reactToMessage = asyncHandler(async (req, res) => {
+  try {
+    const reaction = await reactToChatMessage(
+      req.params.id,
+      req.user.id,
+      req.params.messageId,
+      req.body.emoji
+    );
+
+    res.json(createResponse(true,
+      reaction.action === 'removed' ? 'Reacción eliminada' : 'Reacción registrada',
+      { reaction }
+    ));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
     }
 
-    const message = new Message(messageData);
-    await message.save();
+    console.error('Error reaccionando a mensaje:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Lectores de un mensaje en un chat grupal
+// @route   GET /api/chats/:id/messages/:messageId/read-by
+// @access  Protected (participantes del chat)
+const getMessageReadBy = asyncHandler(async (req, res) => {
+  try {
+    const readBy = await getReadBy(req.params.id, req.user.id, req.params.messageId);
 
-    // Actualizar último mensaje del chat
-    await chat.updateLastMessage(message);
+    res.json(createResponse(true, 'Lectores obtenidos exitosamente', readBy));
 
-    // Poblar datos para respuesta
-    await message.populate('sender_id', 'name foto_perfil verificado');
-
-    const enrichedMessage = {
-      ...message.toObject(),
-      is_own: true,
-      total_reacciones: 0,
-      user_reaction: null,
-      read_by_count: 1,
-      can_edit: tipo_mensaje === 'texto',
-      can_delete: true
-    };
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
+    }
 
-    res.status(201).json(createResponse(true, 'Mensaje enviado exitosamente', {
-      message: enrichedMessage
+    console.error('Error obteniendo lectores del mensaje:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Editar un mensaje propio
+// @route   PUT /api/chats/:id/messages/:messageId
+// @access  Protected (emisor del mensaje, dentro del plazo de edición)
+const updateMessage = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json(createResponse(false, 'Error de validación', null, {
+      errors: errors.array()
+    }));
+  }
+
+  try {
+    const message = await editMessage(
+      req.params.id,
+      req.user.id,
+      req.params.messageId,
+      req.body.contenido
+    );
+
+    res.json(createResponse(true, 'Mensaje editado exitosamente', {
+      message: {
+        ...message.toObject(),
+        is_own: true,
+        can_edit: isWithinEditWindow(message),
+        can_delete: true
+      }
     }));
 
   } catch (error) {
-    console.error('Error enviando mensaje:', error);
-    
-    if (error.name === 'ValidationError') {
-      const validationErrors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json(createResponse(false, 'Error de validación', null, {
-        errors: validationErrors
-      }));
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
+    }
+
+    console.error('Error editando mensaje:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Eliminar un mensaje
+// @route   DELETE /api/chats/:id/messages/:messageId
+// @access  Protected (emisor, o admin/moderador del chat con permiso para eliminar mensajes)
+const deleteMessage = asyncHandler(async (req, res) => {
+  try {
+    const deleted = await deleteChatMessage(
+      req.params.id,
+      req.user.id,
+      req.params.messageId
+    );
+
+    res.json(createResponse(true, 'Mensaje eliminado exitosamente', deleted));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
     }
 
+    console.error('Error eliminando mensaje:', error);
     res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
   }
 });
 
 module.exports = {
   getUserChats,
+  getUnreadSummary,
   createChat,
   getChatMessages,
-  sendMessage
+  sendMessage,
+  forwardMessage,
+  reactToMessage,
+  getMessageReadBy,
+  updateMessage,
+  deleteMessage
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+const commentService = require('../services/commentService');
+const { asyncHandler, createResponse, handleServiceError } = require('../utils/helpers');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+
+/**
+ * Listado paginado de comentarios (primer nivel o respuestas)
+ */
+const listComments = (message) => asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  try {
+    const { comments, pagination } = await commentService.listComments(req.user, req.params.id, {
+      parentId: req.params.commentId || null,
+      cursor: decoded,
+      limit: parseLimit(limit)
+    });
+
+    res.json(createResponse(true, message, {
+      comments,
+      pagination
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'obteniendo comentarios');
+  }
+});
+
+/**
+ * Crear un comentario o una respuesta
+ */
+const createComment = (message) => asyncHandler(async (req, res) => {
+  try {
+    const { comment, totalComments } = await commentService.createComment(req.user, req.params.id, {
+      contenido: req.body.contenido,
+      parentId: req.params.commentId || null
+    });
+
+    res.status(201).json(createResponse(true, message, {
+      comment,
+      totalComments
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'agregando comentario');
+  }
+});
+
+// @desc    Obtener los comentarios de un post
+// @route   GET /api/posts/:id/comments
+// @access  Protected
+// @query   cursor, limit
+const getComments = listComments('Comentarios obtenidos exitosamente');
+
+// @desc    Obtener las respuestas de un comentario
+// @route   GET /api/posts/:id/comments/:commentId/replies
+// @access  Protected
+// @query   cursor, limit
+const getReplies = listComments('Respuestas obtenidas exitosamente');
+
+// @desc    Agregar comentario a un post
+// @route   POST /api/posts/:id/comment
+// @access  Protected
+const addComment = createComment('Comentario agregado exitosamente');
+
+// @desc    Responder a un comentario
+// @route   POST /api/posts/:id/comments/:commentId/replies
+// @access  Protected
+const replyToComment = createComment('Respuesta agregada exitosamente');
+
+// @desc    Editar un comentario
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Protected (solo el autor)
+const updateComment = asyncHandler(async (req, res) => {
+  try {
+    const comment = await commentService.updateComment(
+      req.user,
+      req.params.id,
+      req.params.commentId,
+      req.body.contenido
+    );
+
+    res.json(createResponse(true, 'Comentario actualizado exitosamente', { comment }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'actualizando comentario');
+  }
+});
+
+// @desc    Eliminar un comentario
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Protected (el autor, el autor del post o admin)
+const deleteComment = asyncHandler(async (req, res) => {
+  try {
+    const { totalComments } = await commentService.deleteComment(
+      req.user,
+      req.params.id,
+      req.params.commentId
+    );
+
+    res.json(createResponse(true, 'Comentario eliminado exitosamente', { totalComments }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'eliminando comentario');
+  }
+});
+
+// @desc    Like/Unlike un comentario
+// @route   POST /api/posts/:id/comments/:commentId/like
+// @access  Protected
+const toggleCommentLike = asyncHandler(async (req, res) => {
+  try {
+    const likeResult = await commentService.toggleCommentLike(
+      req.user,
+      req.params.id,
+      req.params.commentId
+    );
+
+    res.json(createResponse(true,
+      likeResult.action === 'added' ? 'Like agregado' : 'Like removido',
+      {
+        liked: likeResult.action === 'added',
+        totalLikes: likeResult.total
+      }
+    ));
+
+  } catch (error) {
+    handleServiceError(res, error, 'en toggle like de comentario');
+  }
+});
+
+module.exports = {
+  getComments,
+  getReplies,
+  addComment,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  toggleCommentLike
+};
@@ -0,0 +1,131 @@
+const followService = require('../services/followService');
+const { asyncHandler, createResponse, handleServiceError } = require('../utils/helpers');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+
+/**
+ * Listado paginado de conexiones (seguidores, seguidos o solicitudes)
+ */
+const listConnections = (direccion, message) => asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+  const userId = req.params.id || req.user.id;
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
+
+  try {
+    const { users, pagination } = await followService.listConnections(req.user.id, userId, {
+      direccion,
+      cursor: decoded,
+      limit: limitNum
+    });
+
+    res.json(createResponse(true, message, {
+      users,
+      pagination: {
+        ...pagination,
+        hasMore: pagination.hasNextPage
+      }
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, `listando ${direccion}`);
+  }
+});
+
+// @desc    Seguir a un usuario (solicitud si su perfil es privado)
+// @route   POST /api/users/:id/follow
+// @access  Protected
+const followUser = asyncHandler(async (req, res) => {
+  try {
+    const follow = await followService.followUser(req.user, req.params.id);
+    const pendiente = follow.estado === 'pendiente';
+
+    res.status(201).json(createResponse(true,
+      pendiente ? 'Solicitud de seguimiento enviada' : 'Ahora sigues a este usuario',
+      { estado: follow.estado }
+    ));
+
+  } catch (error) {
+    handleServiceError(res, error, 'siguiendo usuario');
+  }
+});
+
+// @desc    Dejar de seguir a un usuario o cancelar la solicitud
+// @route   DELETE /api/users/:id/follow
+// @access  Protected
+const unfollowUser = asyncHandler(async (req, res) => {
+  try {
+    const follow = await followService.unfollowUser(req.user.id, req.params.id);
+
+    res.json(createResponse(true,
+      follow.estado === 'pendiente' ? 'Solicitud de seguimiento cancelada' : 'Dejaste de seguir a este usuario',
+      { estado: null }
+    ));
+
+  } catch (error) {
+    handleServiceError(res, error, 'dejando de seguir usuario');
+  }
+});
+
+// @desc    Listar seguidores de un usuario
+// @route   GET /api/users/:id/followers
+// @access  Protected
+// @query   cursor, limit
+const getFollowers = listConnections('seguidores', 'Seguidores obtenidos exitosamente');
+
+// @desc    Listar usuarios que sigue un usuario
+// @route   GET /api/users/:id/following
+// @access  Protected
+// @query   cursor, limit
+const getFollowing = listConnections('siguiendo', 'Seguidos obtenidos exitosamente');
+
+// @desc    Listar solicitudes de seguimiento pendientes del usuario actual
+// @route   GET /api/users/follow-requests
+// @access  Protected
+// @query   cursor, limit
+const getFollowRequests = listConnections('solicitudes', 'Solicitudes obtenidas exitosamente');
+
+// @desc    Aceptar una solicitud de seguimiento
+// @route   POST /api/users/follow-requests/:id/accept
+// @access  Protected
+const acceptFollowRequest = asyncHandler(async (req, res) => {
+  try {
+    await followService.acceptFollowRequest(req.user, req.params.id);
+
+    res.json(createResponse(true, 'Solicitud de seguimiento aceptada'));
+
+  } catch (error) {
+    handleServiceError(res, error, 'aceptando solicitud');
+  }
+});
+
+// @desc    Rechazar una solicitud de seguimiento
+// @route   DELETE /api/users/follow-requests/:id
+// @access  Protected
+const rejectFollowRequest = asyncHandler(async (req, res) => {
+  try {
+    await followService.rejectFollowRequest(req.user.id, req.params.id);
+
+    res.json(createResponse(true, 'Solicitud de seguimiento rechazada'));
+
+  } catch (error) {
+    handleServiceError(res, error, 'rechazando solicitud');
+  }
+});
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  acceptFollowRequest,
+  rejectFollowRequest
+};
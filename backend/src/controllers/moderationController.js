@@ -0,0 +1,83 @@
+const moderationService = require('../services/moderationService');
+const { asyncHandler, createResponse, handleServiceError } = require('../utils/helpers');
+const { parseLimit } = require('../utils/pagination');
+const { requestContext } = require('../utils/auditLog');
+
+// @desc    Cola de moderación: contenido con reportes pendientes
+// @route   GET /api/admin/moderation
+// @access  Admin
+// @query   tipo, page, limit
+const getModerationQueue = asyncHandler(async (req, res) => {
+  const { tipo, page, limit } = req.query;
+
+  if (tipo && !moderationService.TIPOS_CONTENIDO.includes(tipo)) {
+    return res.status(400).json(createResponse(false, 'Tipo de contenido no válido', null, {
+      tiposValidos: moderationService.TIPOS_CONTENIDO
+    }));
+  }
+
+  try {
+    const { items, pagination } = await moderationService.getQueue({
+      tipo,
+      page,
+      limit: parseLimit(limit)
+    });
+
+    res.json(createResponse(true, 'Cola de moderación obtenida exitosamente', {
+      items,
+      pagination
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'obteniendo cola de moderación');
+  }
+});
+
+/**
+ * Aplicar una acción de moderación sobre el contenido de la ruta
+ */
+const moderateContent = (accion, message) => asyncHandler(async (req, res) => {
+  try {
+    const result = await moderationService.moderate(
+      req.user,
+      req.params.tipo,
+      req.params.id,
+      accion,
+      req.body.razon,
+      requestContext(req)
+    );
+
+    res.json(createResponse(true, message, result));
+
+  } catch (error) {
+    handleServiceError(res, error, `aplicando acción de moderación ${accion}`);
+  }
+});
+
+// @desc    Ocultar un contenido reportado
+// @route   POST /api/admin/moderation/:tipo/:id/hide
+// @access  Admin
+const hideContent = moderateContent('hide', 'Contenido ocultado exitosamente');
+
+// @desc    Restaurar un contenido oculto
+// @route   POST /api/admin/moderation/:tipo/:id/restore
+// @access  Admin
+const restoreContent = moderateContent('restore', 'Contenido restaurado exitosamente');
+
+// @desc    Descartar los reportes pendientes de un contenido
+// @route   POST /api/admin/moderation/:tipo/:id/dismiss
+// @access  Admin
+const dismissReports = moderateContent('dismiss', 'Reportes descartados exitosamente');
+
+// @desc    Advertir al autor de un contenido reportado
+// @route   POST /api/admin/moderation/:tipo/:id/warn
+// @access  Admin
+const warnAuthor = moderateContent('warn', 'Advertencia enviada exitosamente');
+
+module.exports = {
+  getModerationQueue,
+  hideContent,
+  restoreContent,
+  dismissReports,
+  warnAuthor
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { asyncHandler, createResponse } = require('../utils/helpers');
+const { decodeCursor, parseLimit, paginate } = require('../utils/pagination');
+
+const TIPOS_NOTIFICACION = Notification.schema.path('tipo').enumValues;
+
+// @desc    Obtener notificaciones del usuario
+// @route   GET /api/notifications
+// @access  Protected
+// @query   cursor, limit, tipo (separados por coma), leida
+const getNotifications = asyncHandler(async (req, res) => {
+  const { cursor, limit = 20, tipo, leida } = req.query;
+  const userId = req.user.id;
+
+  const filters = { destinatario: userId };
+
+  if (tipo) {
+    const tipos = tipo.split(',').map(t => t.trim()).filter(t => TIPOS_NOTIFICACION.includes(t));
+    if (tipos.length === 0) {
+      return res.status(400).json(createResponse(false, 'Tipo de notificación no válido', null, {
+        tiposValidos: TIPOS_NOTIFICACION
+      }));
+    }
+    filters.tipo = { $in: tipos };
+  }
+
+  if (leida !== undefined) filters.leida = leida === 'true';
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
+
+  try {
+    const { items: notifications, pagination } = await paginate(Notification, filters, {
+      sortField: 'fecha_creacion',
+      order: -1,
+      cursor: decoded,
+      limit: limitNum,
+      build: (query) => query.populate('emisor', 'name foto_perfil')
+    });
+
+    res.json(createResponse(true, 'Notificaciones obtenidas exitosamente', {
+      notifications: notifications.map(notification => notification.toJSON()),
+      pagination: {
+        ...pagination,
+        hasMore: pagination.hasNextPage
+      }
+    }));
+
+  } catch (error) {
+    console.error('Error obteniendo notificaciones:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Contar notificaciones no leídas
+// @route   GET /api/notifications/unread-count
+// @access  Protected
+const getUnreadCount = asyncHandler(async (req, res) => {
+  try {
+    const count = await Notification.contarNoLeidas(req.user.id);
+
+    res.json(createResponse(true, 'Conteo obtenido exitosamente', { count }));
+
+  } catch (error) {
+    console.error('Error contando notificaciones:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Marcar una notificación como leída
+// @route   PUT /api/notifications/:id/read
+// @access  Protected
+const markAsRead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(400).json(createResponse(false, 'ID de notificación no válido'));
+  }
+
+  try {
+    const notification = await Notification.findOne({
+      _id: id,
+      destinatario: req.user.id
+    });
+
+    if (!notification) {
+      return res.status(404).json(createResponse(false, 'Notificación no encontrada'));
+    }
+
+    if (!notification.leida) {
+      await notification.marcarComoLeida();
+    }
+
+    res.json(createResponse(true, 'Notificación marcada como leída', {
+      notification: notification.toJSON()
+    }));
+
+  } catch (error) {
+    console.error('Error marcando notificación:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+// @desc    Marcar todas las notificaciones como leídas
+// @route   PUT /api/notifications/read-all
+// @access  Protected
+const markAllAsRead = asyncHandler(async (req, res) => {
+  try {
+    const result = await Notification.marcarTodasComoLeidas(req.user.id);
+
+    res.json(createResponse(true, 'Notificaciones marcadas como leídas', {
+      updated: result.modifiedCount
+    }));
+
+  } catch (error) {
+    console.error('Error marcando notificaciones:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead
+};
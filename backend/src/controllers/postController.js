@@ -2,6 +2,68 @@ const Post = require('../models/Post');
 const User = require('../models/User');
 const { asyncHandler, createResponse } = require('../utils/helpers');
 const { validationResult } = require('express-validator');
+const { notify } = require('../services/notificationService');
+const { listComments } = require('../services/commentService');
+const { getFeed: getFeedPage, decodeFeedCursor } = require('../services/feedService');
+const { decodeCursor, parseLimit, paginate } = require('../utils/pagination');
+
+// Campos por los que se puede ordenar el listado
+const POST_SORT_FIELDS = ['fecha_publicacion', 'likes_count', 'comentarios_count', 'engagement_count', 'visualizaciones', 'compartido'];
+
+// Ordenamientos especiales
+const POST_SORT_ALIASES = {
+  engagement: 'engagement_count',
+  popularity: 'visualizaciones'
+};
+
+// Los listados no cargan los arreglos de likes y comentarios
+const POST_LIST_EXCLUDE = '-likes -comentarios -reportes';
+
+/**
+ * IDs de los posts (de una página) a los que el usuario dio like
+ * @param {object[]} posts - Posts de la página
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Set<string>>}
+ */
+const getLikedPostIds = async (posts, userId) => {
+  if (!userId || posts.length === 0) {
+    return new Set();
+  }
+
+  const liked = await Post.find({
+    _id: { $in: posts.map(post => post._id) },
+    'likes.usuario': userId
+  }).select('_id').lean();
+
+  return new Set(liked.map(post => post._id.toString()));
+};
+
+/**
+ * Agregar totales y permisos del usuario a un post (lean) y ocultar los reportes
+ * @param {object} post - Post plano con autor poblado
+ * @param {object} user - req.user
+ * @param {Set<string>} likedIds - Posts a los que el usuario dio like
+ * @returns {object}
+ */
+const enrichPost = (post, user, likedIds) => {
+  const enriched = {
+    ...post,
+    total_likes: post.likes_count || 0,
+    total_comentarios: post.comentarios_count || 0,
+    user_liked: user ? likedIds.has(post._id.toString()) : false,
+    can_edit: user && post.autor._id.toString() === user.id.toString(),
+    can_delete: user && (
+      post.autor._id.toString() === user.id.toString() || 
+      user.role === 'admin'
+    )
+  };
+
+  // Ocultar información sensible
+  delete enriched.reportes;
+  delete enriched.reportado;
+  
+  return enriched;
+};
 
 // @desc    Obtener todos los posts con filtros
 // @route   GET /api/posts
@@ -16,7 +78,8 @@ const getPosts = asyncHandler(async (req, res) => {
     año,
     autor,
     destacado,
-    page = 1,
+    page,
+    cursor,
     limit = 20,
     sortBy = 'fecha_publicacion',
     order = 'desc'
@@ -42,78 +105,44 @@ const getPosts = asyncHandler(async (req, res) => {
   if (autor) filters.autor = autor;
   if (destacado === 'true') filters.destacado = true;
 
-  // Configurar paginación
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-  const skip = (pageNum - 1) * limitNum;
+  // Paginación: `cursor` (recomendado) o `page` (modo clásico)
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
 
-  // Configurar ordenamiento
+  // Configurar ordenamiento (solo campos indexables y no nulos, requisito del cursor)
   const sortOrder = order === 'desc' ? -1 : 1;
-  const sortOptions = {};
-  
-  // Ordenamientos especiales
-  if (sortBy === 'engagement') {
-    // Se puede implementar un campo virtual o cálculo
-    sortOptions['total_likes'] = sortOrder;
-    sortOptions['fecha_publicacion'] = -1;
-  } else if (sortBy === 'popularity') {
-    sortOptions['visualizaciones'] = sortOrder;
-    sortOptions['fecha_publicacion'] = -1;
-  } else {
-    sortOptions[sortBy] = sortOrder;
-  }
+  const requestedSort = POST_SORT_ALIASES[sortBy] || sortBy;
+  const sortField = POST_SORT_FIELDS.includes(requestedSort) ? requestedSort : 'fecha_publicacion';
 
   try {
     // Ejecutar consulta con población de datos
-    const [posts, totalPosts] = await Promise.all([
-      Post.find(filters)
+    const { items: posts, pagination } = await paginate(Post, filters, {
+      sortField,
+      order: sortOrder,
+      cursor: decoded,
+      page: decoded ? undefined : page,
+      limit: limitNum,
+      build: (query) => query
+        .select(POST_LIST_EXCLUDE)
         .populate('autor', 'name foto_perfil carrera campus verificado')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
         .lean(),
-      Post.countDocuments(filters)
-    ]);
-
-    // Agregar información adicional a cada post
-    const enrichedPosts = posts.map(post => {
-      const enriched = {
-        ...post,
-        total_likes: post.likes ? post.likes.length : 0,
-        total_comentarios: post.comentarios ? post.comentarios.length : 0,
-        user_liked: req.user ? post.likes?.some(like => 
-          like.usuario.toString() === req.user.id.toString()
-        ) : false,
-        can_edit: req.user && post.autor._id.toString() === req.user.id.toString(),
-        can_delete: req.user && (
-          post.autor._id.toString() === req.user.id.toString() || 
-          req.user.role === 'admin'
-        )
-      };
-
-      // Ocultar información sensible
-      delete enriched.reportes;
-      delete enriched.reportado;
-      
-      return enriched;
+      totalKey: 'totalPosts'
     });
 
-    const totalPages = Math.ceil(totalPosts / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
+    // Agregar información adicional a cada post
+    const likedIds = await getLikedPostIds(posts, req.user?.id);
+    const enrichedPosts = posts.map(post => enrichPost(post, req.user, likedIds));
 
     res.json(createResponse(true, 'Posts obtenidos exitosamente', {
       posts: enrichedPosts,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalPosts,
-        limit: limitNum,
-        hasNextPage,
-        hasPrevPage,
-        nextPage: hasNextPage ? pageNum + 1 : null,
-        prevPage: hasPrevPage ? pageNum - 1 : null
-      },
+      pagination,
       filters: {
         search,
         categoria,
@@ -132,6 +161,50 @@ const getPosts = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Feed personalizado (seguidos e interacciones, carrera, facultad y destacados)
+// @route   GET /api/posts/feed
+// @access  Protected
+// @query   cursor, limit
+const getFeed = asyncHandler(async (req, res) => {
+  const { cursor, limit } = req.query;
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeFeedCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
+
+  try {
+    const { posts, hasMore, nextCursor } = await getFeedPage(req.user.id, {
+      cursor: decoded,
+      limit: limitNum
+    });
+
+    const likedIds = await getLikedPostIds(posts, req.user.id);
+
+    res.json(createResponse(true, 'Feed obtenido exitosamente', {
+      posts: posts.map(post => enrichPost(post, req.user, likedIds)),
+      pagination: {
+        limit: limitNum,
+        hasMore,
+        nextCursor
+      }
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message));
+    }
+
+    console.error('Error obteniendo feed:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
 // @desc    Crear un nuevo post
 // @route   POST /api/posts
 // @access  Protected
@@ -266,8 +339,8 @@ const updatePost = asyncHandler(async (req, res) => {
 
     const enrichedPost = {
       ...updatedPost.toObject(),
-      total_likes: updatedPost.likes.length,
-      total_comentarios: updatedPost.comentarios.length,
+      total_likes: updatedPost.likes_count,
+      total_comentarios: updatedPost.comentarios_count,
       user_liked: updatedPost.likes.some(like => 
         like.usuario.toString() === req.user.id.toString()
       ),
@@ -330,18 +403,29 @@ const toggleLike = asyncHandler(async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const post = await Post.findById(id);
+    const post = await Post.findById(id).select('autor activo moderado').lean();
     if (!post) {
       return res.status(404).json(createResponse(false, 'Post no encontrado'));
     }
 
-    if (!post.activo) {
+    // Un post oculto por moderación no acepta likes ni notifica a su autor
+    if (!post.activo || post.moderado) {
       return res.status(404).json(createResponse(false, 'Post no disponible'));
     }
 
-    // Toggle like usando el método del modelo
-    const likeResult = post.addLike(userId);
-    await post.save();
+    // Toggle like atómico (arreglo y likes_count en la misma operación)
+    const likeResult = await Post.toggleLike(post._id, userId);
+
+    if (likeResult.action === 'added') {
+      await notify({
+        destinatario: post.autor,
+        emisor: userId,
+        tipo: 'like_post',
+        titulo: 'Nuevo me gusta',
+        mensaje: `${req.user.name} le dio me gusta a tu publicación`,
+        referencia: { tipo: 'post', id: post._id, tipo_modelo: 'Post' }
+      });
+    }
 
     res.json(createResponse(true, 
       likeResult.action === 'added' ? 'Like agregado' : 'Like removido',
@@ -357,59 +441,6 @@ const toggleLike = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Agregar comentario a un post
-// @route   POST /api/posts/:id/comment
-// @access  Protected
-const addComment = asyncHandler(async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json(createResponse(false, 'Error de validación', null, {
-      errors: errors.array()
-    }));
-  }
-
-  try {
-    const { id } = req.params;
-    const { contenido } = req.body;
-
-    const post = await Post.findById(id);
-    if (!post) {
-      return res.status(404).json(createResponse(false, 'Post no encontrado'));
-    }
-
-    if (!post.activo) {
-      return res.status(404).json(createResponse(false, 'Post no disponible'));
-    }
-
-    // Agregar comentario
-    const newComment = post.addComment({
-      autor: req.user.id,
-      contenido
-    });
-
-    await post.save();
-
-    // Poblar información del autor del comentario
-    await post.populate({
-      path: 'comentarios.autor',
-      select: 'name foto_perfil verificado',
-      match: { _id: newComment.autor }
-    });
-
-    // Encontrar el comentario recién creado con datos poblados
-    const populatedComment = post.comentarios.id(newComment._id);
-
-    res.status(201).json(createResponse(true, 'Comentario agregado exitosamente', {
-      comment: populatedComment,
-      totalComments: post.comentarios.length
-    }));
-
-  } catch (error) {
-    console.error('Error agregando comentario:', error);
-    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
-  }
-});
-
 // @desc    Obtener un post específico con sus comentarios
 // @route   GET /api/posts/:id
 // @access  Protected
@@ -419,20 +450,23 @@ const getPostById = asyncHandler(async (req, res) => {
 
     const post = await Post.findById(id)
       .populate('autor', 'name foto_perfil carrera campus verificado')
-      .populate('comentarios.autor', 'name foto_perfil verificado')
       .lean();
 
-    if (!post || !post.activo) {
+    // Los posts ocultos por moderación solo los ve un admin
+    if (!post || !post.activo || (post.moderado && req.user?.role !== 'admin')) {
       return res.status(404).json(createResponse(false, 'Post no encontrado'));
     }
 
-    // Incrementar visualizaciones
-    await Post.findByIdAndUpdate(id, { $inc: { visualizaciones: 1 } });
+    // Incrementar visualizaciones y cargar la primera página de comentarios
+    const [, { comments, pagination }] = await Promise.all([
+      Post.findByIdAndUpdate(id, { $inc: { visualizaciones: 1 } }),
+      listComments(req.user, post._id)
+    ]);
 
     const enrichedPost = {
       ...post,
-      total_likes: post.likes ? post.likes.length : 0,
-      total_comentarios: post.comentarios ? post.comentarios.length : 0,
+      total_likes: post.likes_count || 0,
+      total_comentarios: post.comentarios_count || 0,
       user_liked: req.user ? post.likes?.some(like => 
         like.usuario.toString() === req.user.id.toString()
       ) : false,
@@ -441,7 +475,9 @@ const getPostById = asyncHandler(async (req, res) => {
         post.autor._id.toString() === req.user.id.toString() || 
         req.user.role === 'admin'
       ),
-      visualizaciones: (post.visualizaciones || 0) + 1
+      visualizaciones: (post.visualizaciones || 0) + 1,
+      comentarios: comments,
+      comentarios_pagination: pagination
     };
 
     // Ocultar información sensible
@@ -460,10 +496,10 @@ const getPostById = asyncHandler(async (req, res) => {
 
 module.exports = {
   getPosts,
+  getFeed,
   createPost,
   updatePost,
   deletePost,
   toggleLike,
-  addComment,
   getPostById
 };
\ No newline at end of file
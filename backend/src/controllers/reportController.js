@@ -0,0 +1,108 @@
+const reportService = require('../services/reportService');
+const { asyncHandler, createResponse, handleServiceError } = require('../utils/helpers');
+const { decodeCursor, parseLimit } = require('../utils/pagination');
+
+/**
+ * Datos del reporte recibidos en el body
+ */
+const getReportData = (req) => ({
+  razon: req.body.razon,
+  descripcion: req.body.descripcion
+});
+
+// @desc    Reportar un post
+// @route   POST /api/posts/:id/report
+// @access  Protected
+const reportPost = asyncHandler(async (req, res) => {
+  try {
+    const report = await reportService.reportPost(req.user, req.params.id, getReportData(req));
+
+    res.status(201).json(createResponse(true, 'Reporte enviado. Gracias por ayudarnos a moderar', { report }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'reportando post');
+  }
+});
+
+// @desc    Reportar un comentario
+// @route   POST /api/posts/:id/comments/:commentId/report
+// @access  Protected
+const reportComment = asyncHandler(async (req, res) => {
+  try {
+    const report = await reportService.reportComment(
+      req.user,
+      req.params.id,
+      req.params.commentId,
+      getReportData(req)
+    );
+
+    res.status(201).json(createResponse(true, 'Reporte enviado. Gracias por ayudarnos a moderar', { report }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'reportando comentario');
+  }
+});
+
+// @desc    Reportar un mensaje
+// @route   POST /api/chats/:id/messages/:messageId/report
+// @access  Protected (participantes del chat)
+const reportMessage = asyncHandler(async (req, res) => {
+  try {
+    const report = await reportService.reportMessage(
+      req.user,
+      req.params.id,
+      req.params.messageId,
+      getReportData(req)
+    );
+
+    res.status(201).json(createResponse(true, 'Reporte enviado. Gracias por ayudarnos a moderar', { report }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'reportando mensaje');
+  }
+});
+
+// @desc    Listar los reportes enviados por el usuario actual y su estado
+// @route   GET /api/reports/mine
+// @access  Protected
+// @query   estado, cursor, limit
+const getMyReports = asyncHandler(async (req, res) => {
+  const { estado, cursor, limit } = req.query;
+
+  if (estado && !reportService.ESTADOS_REPORTE.includes(estado)) {
+    return res.status(400).json(createResponse(false, 'Estado de reporte no válido', null, {
+      estadosValidos: reportService.ESTADOS_REPORTE
+    }));
+  }
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  try {
+    const { reports, pagination } = await reportService.listMyReports(req.user.id, {
+      estado,
+      cursor: decoded,
+      limit: parseLimit(limit)
+    });
+
+    res.json(createResponse(true, 'Reportes obtenidos exitosamente', {
+      reports,
+      pagination
+    }));
+
+  } catch (error) {
+    handleServiceError(res, error, 'obteniendo reportes');
+  }
+});
+
+module.exports = {
+  reportPost,
+  reportComment,
+  reportMessage,
+  getMyReports
+};
@@ -0,0 +1,48 @@
+const { processUpload } = require('../services/uploadService');
+const { PROPOSITOS } = require('../utils/fileTypes');
+const { asyncHandler, createResponse, logAction } = require('../utils/helpers');
+
+// @desc    Subir un archivo para una publicación, un mensaje o la foto de perfil
+// @route   POST /api/uploads
+// @access  Protected
+// @body    multipart/form-data: archivo (file), proposito ('post' | 'mensaje' | 'avatar')
+const uploadFile = asyncHandler(async (req, res) => {
+  const { proposito } = req.body || {};
+
+  if (!PROPOSITOS[proposito]) {
+    return res.status(400).json(createResponse(false, 'Propósito de subida no válido', null, {
+      propositosValidos: Object.keys(PROPOSITOS)
+    }));
+  }
+
+  if (!req.file) {
+    return res.status(400).json(createResponse(false, 'No se recibió ningún archivo en el campo "archivo"'));
+  }
+
+  try {
+    const archivo = await processUpload({
+      buffer: req.file.buffer,
+      originalName: req.file.originalname,
+      proposito
+    });
+
+    logAction('FILE_UPLOAD', req.user.id, `${proposito} - ${archivo.url} (${archivo.tamaño} bytes)`, { req });
+
+    res.status(201).json(createResponse(true, 'Archivo subido exitosamente', {
+      proposito,
+      archivo
+    }));
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(createResponse(false, error.message, null, error.data));
+    }
+
+    console.error('Error subiendo archivo:', error);
+    res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+  }
+});
+
+module.exports = {
+  uploadFile
+};
@@ -1,7 +1,12 @@
 const User = require('../models/User');
+const { getRelationship, acceptAllFollowRequests } = require('../services/followService');
 const { asyncHandler, createResponse, sanitizeUser } = require('../utils/helpers');
+const { decodeCursor, parseLimit, paginate } = require('../utils/pagination');
 const { validationResult } = require('express-validator');
 
+// Campos por los que se puede ordenar la búsqueda
+const USER_SORT_FIELDS = ['name', 'fecha_registro', 'año_ingreso', 'carrera'];
+
 // @desc    Buscar usuarios
 // @route   GET /api/users
 // @access  Protected
@@ -12,7 +17,8 @@ const searchUsers = asyncHandler(async (req, res) => {
     campus, 
     año_ingreso, 
     verificado,
-    page = 1, 
+    page, 
+    cursor,
     limit = 20,
     sortBy = 'name',
     order = 'asc'
@@ -37,27 +43,34 @@ const searchUsers = asyncHandler(async (req, res) => {
   if (año_ingreso) filters.año_ingreso = parseInt(año_ingreso);
   if (verificado !== undefined) filters.verificado = verificado === 'true';
 
-  // Configurar paginación
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
-  const skip = (pageNum - 1) * limitNum;
+  // Paginación: `cursor` (recomendado) o `page` (modo clásico)
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) {
+      return res.status(400).json(createResponse(false, 'Cursor de paginación inválido'));
+    }
+  }
+
+  const limitNum = parseLimit(limit);
 
   // Configurar ordenamiento
   const sortOrder = order === 'desc' ? -1 : 1;
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder;
+  const sortField = USER_SORT_FIELDS.includes(sortBy) ? sortBy : 'name';
 
   try {
-    // Ejecutar búsqueda con conteo total
-    const [users, totalUsers] = await Promise.all([
-      User.find(filters)
+    // Ejecutar búsqueda (con conteo total en modo clásico)
+    const { items: users, pagination } = await paginate(User, filters, {
+      sortField,
+      order: sortOrder,
+      cursor: decoded,
+      page: decoded ? undefined : page,
+      limit: limitNum,
+      build: (query) => query
         .select('-password -verification_token -reset_password_token -login_attempts')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
         .lean(),
-      User.countDocuments(filters)
-    ]);
+      totalKey: 'totalUsers'
+    });
 
     // Aplicar configuraciones de privacidad
     const sanitizedUsers = users.map(user => {
@@ -82,22 +95,9 @@ const searchUsers = asyncHandler(async (req, res) => {
       return sanitized;
     });
 
-    const totalPages = Math.ceil(totalUsers / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
-
     res.json(createResponse(true, 'Usuarios encontrados', {
       users: sanitizedUsers,
-      pagination: {
-        currentPage: pageNum,
-        totalPages,
-        totalUsers,
-        limit: limitNum,
-        hasNextPage,
-        hasPrevPage,
-        nextPage: hasNextPage ? pageNum + 1 : null,
-        prevPage: hasPrevPage ? pageNum - 1 : null
-      },
+      pagination,
       filters: {
         search,
         carrera,
@@ -133,6 +133,8 @@ const getUserProfile = asyncHandler(async (req, res) => {
         // Estas estadísticas se pueden implementar más adelante
         totalPosts: 0,
         totalChats: 0,
+        seguidores: user.contadores?.seguidores || 0,
+        siguiendo: user.contadores?.siguiendo || 0,
         joinedDate: user.fecha_registro
       }
     };
@@ -177,6 +179,23 @@ const updateUserProfile = asyncHandler(async (req, res) => {
       }
     });
 
+    // Preferencias de notificación (actualización parcial por campo)
+    const preferenciasNotificacion = ['email', 'push', 'mensajes', 'publicaciones', 'resumen'];
+    const notificaciones = updates.configuracion?.notificaciones;
+    if (notificaciones && typeof notificaciones === 'object') {
+      preferenciasNotificacion.forEach(key => {
+        if (notificaciones[key] !== undefined) {
+          filteredUpdates[`configuracion.notificaciones.${key}`] = notificaciones[key];
+        }
+      });
+    }
+
+    // Privacidad del perfil (los perfiles privados aprueban a sus seguidores)
+    const perfilPublico = updates.configuracion?.privacidad?.perfil_publico;
+    if (perfilPublico !== undefined) {
+      filteredUpdates['configuracion.privacidad.perfil_publico'] = perfilPublico;
+    }
+
     // Validaciones específicas
     if (filteredUpdates.foto_perfil) {
       const urlPattern = /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i;
@@ -204,6 +223,17 @@ const updateUserProfile = asyncHandler(async (req, res) => {
       return res.status(404).json(createResponse(false, 'Usuario no encontrado'));
     }
 
+    // Al volver público el perfil, las solicitudes pendientes quedan aceptadas
+    if (perfilPublico === true) {
+      const aceptadas = await acceptAllFollowRequests(userId);
+      if (aceptadas > 0) {
+        updatedUser.contadores = {
+          ...updatedUser.contadores,
+          seguidores: (updatedUser.contadores?.seguidores || 0) + aceptadas
+        };
+      }
+    }
+
     res.json(createResponse(true, 'Perfil actualizado exitosamente', { user: updatedUser }));
 
   } catch (error) {
@@ -274,10 +304,12 @@ const getUserById = asyncHandler(async (req, res) => {
       .select('-password -verification_token -reset_password_token -login_attempts -account_locked -lock_until')
       .lean();
 
-    if (!user || !user.isActive) {
+    if (!user || !user.activo) {
       return res.status(404).json(createResponse(false, 'Usuario no encontrado'));
     }
 
+    const relacion = await getRelationship(req.user.id, user._id);
+
     // Aplicar configuraciones de privacidad
     const sanitizedUser = { ...user };
     
@@ -300,8 +332,11 @@ const getUserById = asyncHandler(async (req, res) => {
         joinedDate: user.fecha_registro,
         // Estas estadísticas se pueden implementar más adelante
         totalPosts: 0,
+        seguidores: user.contadores?.seguidores || 0,
+        siguiendo: user.contadores?.siguiendo || 0,
         canMessage: user.privacy_settings?.allow_messages !== false
-      }
+      },
+      relacion
     };
 
     res.json(createResponse(true, 'Usuario encontrado', { user: userWithStats }));
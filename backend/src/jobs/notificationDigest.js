@@ -0,0 +1,221 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendNotificationDigest } = require('../services/mailer');
+const { logAction } = require('../utils/helpers');
+
+/**
+ * Job de resumen por email de notificaciones no leídas
+ * Se ejecuta una vez al día (DIGEST_HOUR, por defecto 8:00). Los usuarios con
+ * resumen 'daily' lo reciben cada día y los 'weekly' cada 7 días.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Margen para que pequeñas variaciones en la hora de ejecución no salten un envío
+const INTERVALO_MINIMO = {
+  daily: DAY - 2 * HOUR,
+  weekly: 7 * DAY - 2 * HOUR
+};
+
+const MAX_GRUPOS_POR_RESUMEN = 20;
+
+// Usuarios creados antes de existir `resumen` no tienen el campo: valen como 'weekly' (default del esquema)
+const RESUMEN_SEMANAL = { $in: ['weekly', null] };
+
+/**
+ * Frecuencia de resumen de un usuario (lean), con el default del esquema si falta
+ */
+const frecuenciaResumen = (user) => user.configuracion?.notificaciones?.resumen || 'weekly';
+
+/**
+ * Agrupar notificaciones por su clave `grupo`
+ * @param {Notification[]} notifications - Ordenadas de más reciente a más antigua
+ * @returns {object[]} - [{ titulo, mensaje, icono, cantidad, fecha }]
+ */
+const groupNotifications = (notifications) => {
+  const grupos = new Map();
+
+  notifications.forEach(notification => {
+    const key = notification.grupo || notification._id.toString();
+    const existing = grupos.get(key);
+
+    if (existing) {
+      existing.cantidad += 1;
+    } else {
+      grupos.set(key, {
+        titulo: notification.titulo,
+        mensaje: notification.mensaje,
+        icono: notification.icono,
+        cantidad: 1,
+        fecha: notification.fecha_creacion
+      });
+    }
+  });
+
+  return [...grupos.values()];
+};
+
+/**
+ * Reservar el envío a un usuario: mueve fecha_ultimo_resumen solo si sigue con el
+ * valor leído, así otra instancia del servidor (o una ejecución repetida) no lo envía dos veces
+ * @param {object} user - Usuario leído por el job
+ * @param {Date} now - Fecha de ejecución
+ * @returns {Promise<boolean>} - true si esta ejecución quedó a cargo del envío
+ */
+const claimDigest = async (user, now) => {
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, fecha_ultimo_resumen: user.fecha_ultimo_resumen ?? null },
+    { fecha_ultimo_resumen: now },
+    { projection: { _id: 1 } }
+  ).lean();
+
+  return Boolean(claimed);
+};
+
+/**
+ * Enviar el resumen a un usuario y registrar la entrega por email
+ * @param {object} user - Usuario con email, nombre y configuración
+ * @param {Date} now - Fecha de ejecución
+ * @returns {Promise<number>} - Notificaciones incluidas (0 si no se envió)
+ */
+const sendDigestToUser = async (user, now) => {
+  const notifications = await Notification.find({
+    destinatario: user._id,
+    leida: false,
+    'canales.email': true,
+    'entregada.email.enviado': false
+  }).sort({ fecha_creacion: -1 });
+
+  if (notifications.length === 0) {
+    return 0;
+  }
+
+  if (!(await claimDigest(user, now))) {
+    return 0;
+  }
+
+  const grupos = groupNotifications(notifications);
+
+  try {
+    await sendNotificationDigest(user, {
+      frecuencia: frecuenciaResumen(user),
+      grupos: grupos.slice(0, MAX_GRUPOS_POR_RESUMEN),
+      total: notifications.length
+    });
+  } catch (error) {
+    // Liberar la reserva para reintentar en la próxima ejecución
+    await User.updateOne(
+      { _id: user._id, fecha_ultimo_resumen: now },
+      { fecha_ultimo_resumen: user.fecha_ultimo_resumen ?? null }
+    );
+    throw error;
+  }
+
+  await Promise.all(notifications.map(notification => notification.marcarComoEntregada('email')));
+
+  return notifications.length;
+};
+
+/**
+ * Ejecutar el resumen para todos los usuarios a los que les corresponde
+ * @param {Date} now - Fecha de ejecución (inyectable para tests)
+ * @returns {Promise<object>} - { usuarios, enviados, notificaciones, errores }
+ */
+const runNotificationDigest = async (now = new Date()) => {
+  const stats = { usuarios: 0, enviados: 0, notificaciones: 0, errores: 0 };
+
+  const cursor = User.find({
+    activo: true,
+    'configuracion.notificaciones.email': { $ne: false },
+    'configuracion.notificaciones.resumen': { $in: ['daily', 'weekly', null] },
+    $or: [
+      { fecha_ultimo_resumen: null },
+      {
+        'configuracion.notificaciones.resumen': 'daily',
+        fecha_ultimo_resumen: { $lte: new Date(now.getTime() - INTERVALO_MINIMO.daily) }
+      },
+      {
+        'configuracion.notificaciones.resumen': RESUMEN_SEMANAL,
+        fecha_ultimo_resumen: { $lte: new Date(now.getTime() - INTERVALO_MINIMO.weekly) }
+      }
+    ]
+  })
+    .select('email nombre configuracion fecha_ultimo_resumen')
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    stats.usuarios += 1;
+
+    try {
+      const total = await sendDigestToUser(user, now);
+      if (total > 0) {
+        stats.enviados += 1;
+        stats.notificaciones += total;
+      }
+    } catch (error) {
+      stats.errores += 1;
+      console.error(`Error enviando resumen a ${user.email}:`, error);
+    }
+  }
+
+  logAction(
+    'NOTIFICATION_DIGEST',
+    'system',
+    `Usuarios: ${stats.usuarios} - Enviados: ${stats.enviados} - Notificaciones: ${stats.notificaciones} - Errores: ${stats.errores}`
+  );
+
+  return stats;
+};
+
+/**
+ * Calcular la próxima ejecución a la hora configurada
+ * @param {Date} now - Fecha actual
+ * @param {number} hour - Hora del día (0-23)
+ * @returns {Date}
+ */
+const getNextRun = (now, hour) => {
+  const next = new Date(now);
+  next.setHours(hour, 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+/**
+ * Programar el job diario
+ * @returns {Function} - Función para cancelar la programación
+ */
+const scheduleNotificationDigest = () => {
+  const hour = Math.min(23, Math.max(0, parseInt(process.env.DIGEST_HOUR) || 8));
+  let timer = null;
+
+  const scheduleNext = () => {
+    const delay = getNextRun(new Date(), hour) - Date.now();
+
+    timer = setTimeout(async () => {
+      try {
+        await runNotificationDigest();
+      } catch (error) {
+        console.error('Error ejecutando resumen de notificaciones:', error);
+      }
+      scheduleNext();
+    }, delay);
+
+    // No mantener vivo el proceso solo por el job
+    timer.unref();
+  };
+
+  scheduleNext();
+  console.log(`📧 Resumen de notificaciones programado diariamente a las ${hour}:00`);
+
+  return () => clearTimeout(timer);
+};
+
+module.exports = {
+  groupNotifications,
+  runNotificationDigest,
+  scheduleNotificationDigest
+};
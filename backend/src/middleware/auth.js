@@ -1,6 +1,13 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { createResponse, logAction } = require('../utils/helpers');
+const { createResponse, logAction, suspensionMessage } = require('../utils/helpers');
+
+/**
+ * Indica si el token es de una versión anterior a la última revocación de sesiones del usuario
+ * (se compara un contador y no la fecha: un token emitido en el mismo segundo también cae)
+ */
+const isRevokedSession = (user, decoded) =>
+  (decoded.tokenVersion ?? 0) !== (user.tokenVersion ?? 0);
 
 /**
  * Middleware principal de protección de rutas
@@ -10,6 +17,7 @@ const protect = async (req, res, next) => {
   const clientIP = req.ip || req.connection.remoteAddress;
   const userAgent = req.get('User-Agent') || 'Unknown';
   const requestPath = req.originalUrl;
+  const audit = { ip: clientIP, userAgent };
   
   try {
     let token = null;
@@ -27,7 +35,7 @@ const protect = async (req, res, next) => {
 
     // Verificar que hay un token
     if (!token) {
-      logAction('AUTH_NO_TOKEN', 'anonymous', `IP: ${clientIP} - Path: ${requestPath}`);
+      logAction('AUTH_NO_TOKEN', 'anonymous', `IP: ${clientIP} - Path: ${requestPath}`, audit);
       return res.status(401).json(createResponse(
         false,
         'Acceso denegado. Token de autenticación requerido',
@@ -42,7 +50,7 @@ const protect = async (req, res, next) => {
 
     // Verificar formato del token
     if (token.split('.').length !== 3) {
-      logAction('AUTH_MALFORMED_TOKEN', 'anonymous', `IP: ${clientIP} - Token malformado`);
+      logAction('AUTH_MALFORMED_TOKEN', 'anonymous', `IP: ${clientIP} - Token malformado`, audit);
       return res.status(401).json(createResponse(
         false,
         'Token de autenticación malformado'
@@ -69,7 +77,7 @@ const protect = async (req, res, next) => {
         errorCode = 'TOKEN_NOT_ACTIVE';
       }
 
-      logAction(`AUTH_${errorCode}`, 'anonymous', `IP: ${clientIP} - ${jwtError.message}`);
+      logAction(`AUTH_${errorCode}`, 'anonymous', `IP: ${clientIP} - ${jwtError.message}`, audit);
       
       return res.status(401).json(createResponse(
         false,
@@ -85,7 +93,16 @@ const protect = async (req, res, next) => {
 
     // Verificar que el token tiene la estructura correcta
     if (!decoded.id) {
-      logAction('AUTH_INVALID_TOKEN_STRUCTURE', 'anonymous', `IP: ${clientIP} - Token sin ID de usuario`);
+      logAction('AUTH_INVALID_TOKEN_STRUCTURE', 'anonymous', `IP: ${clientIP} - Token sin ID de usuario`, audit);
+      return res.status(401).json(createResponse(
+        false,
+        'Token de autenticación inválido'
+      ));
+    }
+
+    // Solo tokens de acceso: un refresh token sirve únicamente en /api/auth/refresh
+    if (decoded.type !== 'access') {
+      logAction('AUTH_INVALID_TOKEN_TYPE', decoded.id, `IP: ${clientIP} - Tipo de token: ${decoded.type || 'sin tipo'}`, audit);
       return res.status(401).json(createResponse(
         false,
         'Token de autenticación inválido'
@@ -98,7 +115,7 @@ const protect = async (req, res, next) => {
       .lean();
 
     if (!user) {
-      logAction('AUTH_USER_NOT_FOUND', decoded.id, `IP: ${clientIP} - Usuario en token no existe`);
+      logAction('AUTH_USER_NOT_FOUND', decoded.id, `IP: ${clientIP} - Usuario en token no existe`, audit);
       return res.status(401).json(createResponse(
         false,
         'Usuario no encontrado. Por favor, inicia sesión nuevamente',
@@ -110,9 +127,25 @@ const protect = async (req, res, next) => {
       ));
     }
 
+    audit.actor = user._id;
+
+    // Verificar que la sesión no haya sido revocada (logout de todos los dispositivos)
+    if (isRevokedSession(user, decoded)) {
+      logAction('AUTH_REVOKED_SESSION', user.email, `IP: ${clientIP} - Token emitido antes de revocar sesiones`, audit);
+      return res.status(401).json(createResponse(
+        false,
+        'Tu sesión fue cerrada. Por favor, inicia sesión nuevamente',
+        null,
+        {
+          sessionRevoked: true,
+          loginUrl: '/api/auth/login'
+        }
+      ));
+    }
+
     // Verificar que la cuenta esté activa
     if (!user.activo) {
-      logAction('AUTH_INACTIVE_ACCOUNT', user.email, `IP: ${clientIP} - Intento de acceso con cuenta inactiva`);
+      logAction('AUTH_INACTIVE_ACCOUNT', user.email, `IP: ${clientIP} - Intento de acceso con cuenta inactiva`, audit);
       return res.status(403).json(createResponse(
         false,
         'Tu cuenta está desactivada. Contacta al administrador',
@@ -124,10 +157,29 @@ const protect = async (req, res, next) => {
       ));
     }
 
+    // Verificar si la cuenta está suspendida por un administrador
+    if (User.isSuspended(user)) {
+      logAction('AUTH_SUSPENDED_ACCOUNT', user.email, `IP: ${clientIP} - Intento de acceso con cuenta suspendida`, audit);
+      return res.status(403).json(createResponse(
+        false,
+        suspensionMessage(user.suspension),
+        null,
+        {
+          accountStatus: 'suspended',
+          reason: user.suspension?.razon || null,
+          suspendedUntil: user.suspension?.hasta || null,
+          contactSupport: true
+        }
+      ));
+    }
+
+    // Una suspensión vencida deja de valer: devolver la cuenta a su estado normal
+    await User.clearExpiredSuspension(user);
+
     // Verificar si la cuenta está bloqueada
     if (user.account_locked && user.lock_until && new Date() < new Date(user.lock_until)) {
       const lockTimeRemaining = Math.ceil((new Date(user.lock_until) - new Date()) / (1000 * 60));
-      logAction('AUTH_LOCKED_ACCOUNT', user.email, `IP: ${clientIP} - Intento de acceso con cuenta bloqueada`);
+      logAction('AUTH_LOCKED_ACCOUNT', user.email, `IP: ${clientIP} - Intento de acceso con cuenta bloqueada`, audit);
       
       return res.status(423).json(createResponse(
         false,
@@ -165,7 +217,7 @@ const protect = async (req, res, next) => {
 
   } catch (error) {
     console.error('Error en middleware de protección:', error);
-    logAction('AUTH_MIDDLEWARE_ERROR', 'unknown', `IP: ${clientIP} - Error: ${error.message}`);
+    logAction('AUTH_MIDDLEWARE_ERROR', 'unknown', `IP: ${clientIP} - Error: ${error.message}`, audit);
     
     return res.status(500).json(createResponse(
       false,
@@ -176,6 +228,126 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware de autenticación para Socket.IO
+ * Verifica el mismo JWT que protect y adjunta el usuario al socket.
+ * Los rechazos llegan al cliente como `connect_error` con `err.data.code`
+ */
+const protectSocket = async (socket, next) => {
+  const clientIP = socket.handshake.address;
+  const authHeader = socket.handshake.headers.authorization;
+  const audit = { ip: clientIP, userAgent: socket.handshake.headers['user-agent'] };
+
+  const reject = (code, message, data = {}) => {
+    const error = new Error(message);
+    error.data = { code, ...data };
+    return next(error);
+  };
+
+  try {
+    let token = null;
+
+    // Extraer token: auth del handshake, query string o header Authorization
+    if (socket.handshake.auth && socket.handshake.auth.token) {
+      token = socket.handshake.auth.token;
+    } else if (socket.handshake.query && socket.handshake.query.token) {
+      token = socket.handshake.query.token;
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
+      token = authHeader.split(' ')[1];
+    }
+
+    if (!token) {
+      logAction('SOCKET_AUTH_NO_TOKEN', 'anonymous', `IP: ${clientIP}`, audit);
+      return reject('NO_TOKEN', 'Token de autenticación requerido');
+    }
+
+    if (token.split('.').length !== 3) {
+      logAction('SOCKET_AUTH_MALFORMED_TOKEN', 'anonymous', `IP: ${clientIP} - Token malformado`, audit);
+      return reject('MALFORMED_TOKEN', 'Token de autenticación malformado');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      const expired = jwtError.name === 'TokenExpiredError';
+      logAction(`SOCKET_AUTH_${expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'}`, 'anonymous', `IP: ${clientIP} - ${jwtError.message}`, audit);
+      return reject(
+        expired ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
+        expired ? 'Tu sesión ha expirado' : 'Token de autenticación inválido',
+        { expired, refreshTokenUrl: '/api/auth/refresh' }
+      );
+    }
+
+    if (!decoded.id) {
+      logAction('SOCKET_AUTH_INVALID_TOKEN_STRUCTURE', 'anonymous', `IP: ${clientIP} - Token sin ID de usuario`, audit);
+      return reject('INVALID_TOKEN', 'Token de autenticación inválido');
+    }
+
+    if (decoded.type !== 'access') {
+      logAction('SOCKET_AUTH_INVALID_TOKEN_TYPE', decoded.id, `IP: ${clientIP} - Tipo de token: ${decoded.type || 'sin tipo'}`, audit);
+      return reject('INVALID_TOKEN', 'Token de autenticación inválido');
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      logAction('SOCKET_AUTH_USER_NOT_FOUND', decoded.id, `IP: ${clientIP} - Usuario en token no existe`, audit);
+      return reject('USER_NOT_FOUND', 'Usuario no encontrado');
+    }
+
+    audit.actor = user._id;
+
+    if (isRevokedSession(user, decoded)) {
+      logAction('SOCKET_AUTH_REVOKED_SESSION', user.email, `IP: ${clientIP} - Token emitido antes de revocar sesiones`, audit);
+      return reject('SESSION_REVOKED', 'Tu sesión fue cerrada');
+    }
+
+    if (!user.activo) {
+      logAction('SOCKET_AUTH_INACTIVE_ACCOUNT', user.email, `IP: ${clientIP} - Conexión con cuenta inactiva`, audit);
+      return reject('INACTIVE_ACCOUNT', 'Tu cuenta está desactivada', { accountStatus: 'inactive' });
+    }
+
+    if (user.isSuspended()) {
+      logAction('SOCKET_AUTH_SUSPENDED_ACCOUNT', user.email, `IP: ${clientIP} - Conexión con cuenta suspendida`, audit);
+      return reject('SUSPENDED_ACCOUNT', suspensionMessage(user.suspension), {
+        accountStatus: 'suspended',
+        reason: user.suspension?.razon || null,
+        suspendedUntil: user.suspension?.hasta || null
+      });
+    }
+
+    await User.clearExpiredSuspension(user);
+
+    if (user.isAccountLocked()) {
+      logAction('SOCKET_AUTH_LOCKED_ACCOUNT', user.email, `IP: ${clientIP} - Conexión con cuenta bloqueada`, audit);
+      return reject('LOCKED_ACCOUNT', 'Tu cuenta está temporalmente bloqueada', {
+        accountStatus: 'locked',
+        unlockTime: user.loginAttempts.lockedUntil
+      });
+    }
+
+    // Misma forma que req.user en protect
+    socket.user = {
+      id: user._id.toString(),
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      verificado: user.verificado,
+      carrera: user.carrera,
+      campus: user.campus,
+      activo: user.activo
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('Error en autenticación de socket:', error);
+    logAction('SOCKET_AUTH_ERROR', 'unknown', `IP: ${clientIP} - Error: ${error.message}`, audit);
+    return reject('AUTH_ERROR', 'Error interno del servidor durante la autenticación');
+  }
+};
+
 /**
  * Middleware para requerir roles específicos
  */
@@ -189,7 +361,7 @@ const requireRole = (...roles) => {
     }
 
     if (!roles.includes(req.user.role)) {
-      logAction('AUTH_INSUFFICIENT_PERMISSIONS', req.user.email, `Intento de acceso a ${req.originalUrl} - Rol: ${req.user.role}`);
+      logAction('AUTH_INSUFFICIENT_PERMISSIONS', req.user.email, `Intento de acceso a ${req.originalUrl} - Rol: ${req.user.role}`, { req });
       
       return res.status(403).json(createResponse(
         false,
@@ -218,7 +390,7 @@ const requireVerifiedAccount = (req, res, next) => {
   }
 
   if (!req.user.verificado) {
-    logAction('AUTH_UNVERIFIED_ACCOUNT', req.user.email, `Intento de acceso sin verificar cuenta`);
+    logAction('AUTH_UNVERIFIED_ACCOUNT', req.user.email, `Intento de acceso sin verificar cuenta`, { req });
     
     return res.status(403).json(createResponse(
       false,
@@ -287,7 +459,7 @@ const generateRefreshToken = (id, expiresIn = null) => {
     type: 'refresh'
   };
 
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, {
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: expiresIn || process.env.JWT_REFRESH_EXPIRE || '30d',
   });
 };
@@ -297,7 +469,7 @@ const generateRefreshToken = (id, expiresIn = null) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
     return decoded;
   } catch (error) {
     throw error;
@@ -306,6 +478,7 @@ const verifyRefreshToken = (token) => {
 
 module.exports = {
   protect,
+  protectSocket,
   requireRole,
   requireVerifiedAccount,
   optionalAuth,
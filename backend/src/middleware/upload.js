@@ -0,0 +1,51 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE } = require('../utils/fileTypes');
+
+/**
+ * Middleware de subida de archivos (multipart/form-data)
+ * El archivo queda en memoria (req.file.buffer) para detectar su tipo real
+ * y calcular el hash antes de guardarlo en el backend de almacenamiento.
+ */
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+    fields: 10
+  },
+  // Nombres de archivo con tildes y ñ
+  defParamCharset: 'utf8'
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: { status: 413, message: `El archivo no puede exceder ${MAX_FILE_SIZE / (1024 * 1024)}MB` },
+  LIMIT_FILE_COUNT: { status: 400, message: 'Solo se permite un archivo por subida' },
+  LIMIT_UNEXPECTED_FILE: { status: 400, message: 'Campo de archivo no válido' }
+};
+
+/**
+ * Aceptar un único archivo en el campo indicado
+ * @param {string} field - Nombre del campo del formulario
+ * @returns {Function} - Middleware de Express
+ */
+const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const { status, message } = MULTER_MESSAGES[error.code] || { status: 400, message: error.message };
+      return res.status(status).json({
+        success: false,
+        message,
+        errors: [{ field: error.field || field, message }]
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadSingle
+};
@@ -0,0 +1,17 @@
+const Post = require('../models/Post');
+
+/**
+ * Calcular engagement_count desde los contadores de likes, comentarios y compartidos
+ * Idempotente. backfillPostCounters y syncCommentCounters ya lo recalculan en los posts que corrigen.
+ */
+const up = async () => {
+  const result = await Post.collection.updateMany({}, [Post.ENGAGEMENT_STAGE]);
+
+  return `${result.modifiedCount} posts actualizados`;
+};
+
+module.exports = {
+  name: 'backfillEngagementCount',
+  description: 'Contador de engagement ponderado en Post',
+  up
+};
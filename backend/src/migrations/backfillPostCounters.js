@@ -0,0 +1,33 @@
+const Post = require('../models/Post');
+
+/**
+ * Recalcular likes_count y comentarios_count desde los arreglos embebidos (y engagement_count)
+ * Idempotente: se puede volver a ejecutar para corregir contadores desfasados.
+ * Los posts cuyos comentarios ya se movieron a Comment conservan su comentarios_count.
+ */
+const up = async () => {
+  const result = await Post.collection.updateMany({}, [
+    {
+      $set: {
+        likes_count: { $size: { $ifNull: ['$likes', []] } },
+        comentarios_count: {
+          $cond: [
+            { $isArray: '$comentarios' },
+            { $size: '$comentarios' },
+            { $ifNull: ['$comentarios_count', 0] }
+          ]
+        }
+      }
+    },
+    // engagement_count depende de los contadores recién calculados
+    Post.ENGAGEMENT_STAGE
+  ]);
+
+  return `${result.modifiedCount} posts actualizados`;
+};
+
+module.exports = {
+  name: 'backfillPostCounters',
+  description: 'Contadores de likes y comentarios en Post',
+  up
+};
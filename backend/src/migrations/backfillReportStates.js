@@ -0,0 +1,25 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+
+/**
+ * Marcar como 'pendiente' los reportes anteriores al campo `estado`
+ * La cola de moderación busca `reportes.estado: 'pendiente'` con un índice; los
+ * reportes sin estado no entrarían en ella. Idempotente.
+ */
+const up = async () => {
+  const resultados = await Promise.all([Post, Comment, Message].map(model => model.collection.updateMany(
+    { reportes: { $elemMatch: { estado: { $exists: false } } } },
+    { $set: { 'reportes.$[r].estado': 'pendiente' } },
+    { arrayFilters: [{ 'r.estado': { $exists: false } }] }
+  )));
+
+  const [posts, comentarios, mensajes] = resultados.map(result => result.modifiedCount);
+  return `${posts} posts, ${comentarios} comentarios y ${mensajes} mensajes actualizados`;
+};
+
+module.exports = {
+  name: 'backfillReportStates',
+  description: 'Estado pendiente en reportes sin estado',
+  up
+};
@@ -0,0 +1,70 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Mover los comentarios embebidos en Post.comentarios a la colección Comment
+ * Conserva el _id de cada comentario (las notificaciones lo guardan en
+ * datos_extra.comentario_id). Idempotente: los comentarios se insertan con
+ * upsert por _id y el arreglo se elimina del post solo después de copiarlos.
+ */
+const up = async () => {
+  const cursor = Post.collection.find(
+    { comentarios: { $exists: true } },
+    { projection: { comentarios: 1 } }
+  ).batchSize(BATCH_SIZE);
+
+  let posts = 0;
+  let comentarios = 0;
+
+  for await (const post of cursor) {
+    const embebidos = post.comentarios || [];
+
+    if (embebidos.length > 0) {
+      await Comment.collection.bulkWrite(embebidos.map(comentario => ({
+        updateOne: {
+          filter: { _id: comentario._id },
+          update: {
+            $setOnInsert: {
+              post_id: post._id,
+              parent_id: null,
+              profundidad: 0,
+              autor: comentario.autor,
+              contenido: comentario.contenido,
+              fecha_publicacion: comentario.fecha_publicacion || comentario.createdAt || new Date(),
+              likes: comentario.likes || [],
+              likes_count: (comentario.likes || []).length,
+              respuestas_count: 0,
+              editado: comentario.editado || false,
+              fecha_edicion: comentario.fecha_edicion || null,
+              eliminado: false,
+              reportado: comentario.reportado || false,
+              reportes: comentario.reportes || [],
+              createdAt: comentario.createdAt || comentario.fecha_publicacion || new Date(),
+              updatedAt: comentario.updatedAt || comentario.fecha_publicacion || new Date()
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    const total = await Comment.countDocuments({ post_id: post._id, eliminado: false });
+    await Post.collection.updateOne(
+      { _id: post._id },
+      [{ $unset: 'comentarios' }, { $set: { comentarios_count: total } }, Post.ENGAGEMENT_STAGE]
+    );
+
+    posts += 1;
+    comentarios += embebidos.length;
+  }
+
+  return `${comentarios} comentarios movidos desde ${posts} posts`;
+};
+
+module.exports = {
+  name: 'moveEmbeddedComments',
+  description: 'Comentarios embebidos de Post a la colección Comment',
+  up
+};
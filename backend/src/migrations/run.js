@@ -0,0 +1,46 @@
+require('dotenv').config();
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Ejecutor de migraciones de datos
+ * Uso: npm run migrate [-- nombre]
+ * Sin nombre ejecuta todas en orden. Cada migración debe ser idempotente.
+ */
+
+const migrations = [
+  require('./backfillPostCounters'),
+  require('./moveEmbeddedComments'),
+  require('./syncCommentCounters'),
+  require('./backfillEngagementCount'),
+  require('./backfillReportStates')
+];
+
+const run = async () => {
+  const nombre = process.argv[2];
+  const pendientes = nombre
+    ? migrations.filter(migration => migration.name === nombre)
+    : migrations;
+
+  if (nombre && pendientes.length === 0) {
+    console.error(`❌ Migración no encontrada: ${nombre}`);
+    console.error(`💡 Disponibles: ${migrations.map(migration => migration.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  try {
+    for (const migration of pendientes) {
+      console.log(`🔄 ${migration.name}: ${migration.description}`);
+      const resultado = await migration.up();
+      console.log(`✅ ${migration.name}: ${resultado}`);
+    }
+  } catch (error) {
+    console.error('❌ Error ejecutando migraciones:', error);
+    process.exitCode = 1;
+  } finally {
+    await disconnectDB();
+  }
+};
+
+run();
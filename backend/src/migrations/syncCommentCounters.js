@@ -0,0 +1,108 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+
+/**
+ * Recalcular Post.comentarios_count y Comment.respuestas_count desde la colección Comment
+ * Cuenta solo los comentarios visibles (no eliminados ni ocultos). Idempotente: corrige contadores
+ * desfasados (p. ej. por una petición interrumpida entre el comentario y el $inc).
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Corregir el contador de un lote de documentos
+ * @param {Model} model - Modelo a actualizar
+ * @param {string} field - Campo contador
+ * @param {string} groupBy - Campo de Comment que apunta al documento
+ * @param {object} match - Filtro de Comment para el lote (debe usar un índice)
+ * @param {object[]} docs - Documentos del lote con su contador actual
+ * @param {object[]} afterSet - Etapas de actualización que dependen del contador
+ * @returns {Promise<number>} - Documentos modificados
+ */
+const syncBatch = async (model, field, groupBy, match, docs, afterSet) => {
+  const totales = await Comment.aggregate([
+    { $match: { eliminado: false, moderado: { $ne: true }, ...match } },
+    { $group: { _id: `$${groupBy}`, total: { $sum: 1 } } }
+  ]);
+  const porId = new Map(totales.map(({ _id, total }) => [_id.toString(), total]));
+
+  // Los documentos sin comentarios vivos quedan en 0
+  const cambios = docs
+    .map(doc => ({ _id: doc._id, total: porId.get(doc._id.toString()) || 0, actual: doc[field] }))
+    .filter(({ total, actual }) => total !== actual);
+
+  if (cambios.length === 0) {
+    return 0;
+  }
+
+  const result = await model.collection.bulkWrite(cambios.map(({ _id, total }) => ({
+    updateOne: {
+      filter: { _id },
+      update: [{ $set: { [field]: total } }, ...afterSet]
+    }
+  })), { ordered: false });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Recorrer los documentos de un modelo por lotes y corregir su contador
+ * Cada lote cuenta solo sus comentarios, así la memoria y el tamaño de cada
+ * consulta no dependen del tamaño de la base
+ * @param {Model} model - Modelo a actualizar
+ * @param {string} field - Campo contador
+ * @param {string} groupBy - Campo de Comment que apunta al documento
+ * @param {object} options - { scope: filtro de los documentos, projection, matchFor: (docs) => filtro de Comment, afterSet }
+ * @returns {Promise<number>} - Documentos modificados
+ */
+const syncCounter = async (model, field, groupBy, { scope = {}, projection = {}, matchFor, afterSet = [] }) => {
+  const cursor = model.collection.find(scope, { projection: { [field]: 1, ...projection } })
+    .batchSize(BATCH_SIZE);
+
+  let modificados = 0;
+  let lote = [];
+
+  for await (const doc of cursor) {
+    lote.push(doc);
+
+    if (lote.length === BATCH_SIZE) {
+      modificados += await syncBatch(model, field, groupBy, matchFor(lote), lote, afterSet);
+      lote = [];
+    }
+  }
+
+  if (lote.length > 0) {
+    modificados += await syncBatch(model, field, groupBy, matchFor(lote), lote, afterSet);
+  }
+
+  return modificados;
+};
+
+const ids = (docs, field = '_id') => docs.map(doc => doc[field]);
+
+const up = async () => {
+  // Los posts aún no migrados (con comentarios embebidos) conservan su contador
+  const posts = await syncCounter(Post, 'comentarios_count', 'post_id', {
+    scope: { comentarios: { $exists: false } },
+    matchFor: (lote) => ({ post_id: { $in: ids(lote) } }),
+    // Sin esto sortBy=engagement seguiría ordenando con el total anterior
+    afterSet: [Post.ENGAGEMENT_STAGE]
+  });
+
+  // Filtrar también por post_id usa el índice { post_id, parent_id, ... } de Comment
+  const comentarios = await syncCounter(Comment, 'respuestas_count', 'parent_id', {
+    projection: { post_id: 1 },
+    matchFor: (lote) => ({
+      post_id: { $in: ids(lote, 'post_id') },
+      parent_id: { $in: ids(lote) }
+    })
+  });
+
+  return `${posts} posts y ${comentarios} comentarios corregidos`;
+};
+
+module.exports = {
+  name: 'syncCommentCounters',
+  description: 'Contadores de comentarios y respuestas desde la colección Comment',
+  up
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Días que se conservan las entradas; el índice TTL de MongoDB elimina las más antiguas
+const RETENCION_DIAS = 365;
+
+// Registro de auditoría de solo escritura: eventos de seguridad, moderación y administración
+const auditLogSchema = new mongoose.Schema({
+  // Nombre del evento, p. ej. AUTH_INVALID_TOKEN o MODERATION_HIDE
+  action: {
+    type: String,
+    required: [true, 'La acción es requerida'],
+    trim: true,
+    maxlength: 100
+  },
+  // Usuario que realizó la acción (null si es anónima o del sistema)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Identificador recibido por logAction: email, ID o 'anonymous'
+  actorEmail: {
+    type: String,
+    trim: true,
+    maxlength: 254,
+    default: null
+  },
+  // Objeto afectado por la acción
+  target: {
+    type: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+      default: null
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    }
+  },
+  ip: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // Texto libre con el detalle del evento
+  details: {
+    type: String,
+    maxlength: 2000,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Las entradas no se modifican ni se eliminan una vez escritas (solo las vence el índice TTL)
+const rejectChange = function() {
+  throw new Error('El registro de auditoría es de solo escritura');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('El registro de auditoría es de solo escritura'));
+  }
+  next();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+
+auditLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENCION_DIAS * 24 * 60 * 60 });
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ ip: 1, createdAt: -1 });
+
+auditLogSchema.statics.RETENCION_DIAS = RETENCION_DIAS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -400,6 +400,18 @@ chatSchema.methods.getUserRole = function(userId) {
   return participant ? participant.rol : null;
 };
 
+// Admins del chat, o moderadores con el permiso eliminar_mensajes, pueden eliminar mensajes ajenos
+chatSchema.methods.canDeleteMessages = function(userId) {
+  const participant = this.participantes.find(p => 
+    p.usuario.toString() === userId.toString() && p.activo
+  );
+  if (!participant) {
+    return false;
+  }
+  return participant.rol === 'admin' ||
+    (participant.rol === 'moderador' && Boolean(participant.permisos?.eliminar_mensajes));
+};
+
 chatSchema.pre('save', function(next) {
   if (this.isModified('participantes') || this.isModified('nombre_grupo')) {
     this.fecha_actualizacion = new Date();
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+
+// Profundidad máxima de un hilo: 0 es un comentario del post, 1 una respuesta, etc.
+const MAX_PROFUNDIDAD = 2;
+
+const commentSchema = new mongoose.Schema({
+  post_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'El post del comentario es requerido']
+  },
+  // null en los comentarios de primer nivel
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  profundidad: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: [MAX_PROFUNDIDAD, `Las respuestas no pueden anidarse más de ${MAX_PROFUNDIDAD} niveles`]
+  },
+  autor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El autor del comentario es requerido']
+  },
+  contenido: {
+    type: String,
+    required: [true, 'El contenido del comentario es requerido'],
+    trim: true,
+    maxlength: [1000, 'El comentario no puede exceder 1000 caracteres'],
+    minlength: [1, 'El comentario no puede estar vacío']
+  },
+  fecha_publicacion: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  likes: [{
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  likes_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Respuestas directas no eliminadas
+  respuestas_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  editado: {
+    type: Boolean,
+    default: false
+  },
+  fecha_edicion: {
+    type: Date
+  },
+  // Los comentarios eliminados (u ocultos por moderación) con respuestas se conservan para no romper el hilo
+  eliminado: {
+    type: Boolean,
+    default: false
+  },
+  fecha_eliminacion: {
+    type: Date
+  },
+  moderado: {
+    type: Boolean,
+    default: false
+  },
+  moderador: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  razon_moderacion: {
+    type: String,
+    maxlength: [500, 'La razón de moderación no puede exceder 500 caracteres']
+  },
+  reportado: {
+    type: Boolean,
+    default: false
+  },
+  reportes: [{
+    usuario: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    razon: {
+      type: String,
+      enum: ['spam', 'ofensivo', 'inapropiado', 'acoso', 'otro'],
+      required: true
+    },
+    descripcion: {
+      type: String,
+      maxlength: [500, 'La descripción no puede exceder 500 caracteres']
+    },
+    fecha: {
+      type: Date,
+      default: Date.now
+    },
+    // Resultado de la revisión; el usuario que reportó puede consultarlo
+    estado: {
+      type: String,
+      enum: ['pendiente', 'resuelto', 'descartado'],
+      default: 'pendiente'
+    },
+    fecha_resolucion: {
+      type: Date
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+commentSchema.statics.MAX_PROFUNDIDAD = MAX_PROFUNDIDAD;
+
+// Like/unlike atómico, igual que Post.toggleLike
+commentSchema.statics.toggleLike = async function(commentId, userId) {
+  const removed = await this.findOneAndUpdate(
+    { _id: commentId, 'likes.usuario': userId },
+    { $pull: { likes: { usuario: userId } }, $inc: { likes_count: -1 } },
+    { new: true, projection: { likes_count: 1 } }
+  );
+
+  if (removed) {
+    return { action: 'removed', total: removed.likes_count };
+  }
+
+  const added = await this.findOneAndUpdate(
+    { _id: commentId, 'likes.usuario': { $ne: userId } },
+    { $push: { likes: { usuario: userId, fecha: new Date() } }, $inc: { likes_count: 1 } },
+    { new: true, projection: { likes_count: 1 } }
+  );
+
+  if (added) {
+    return { action: 'added', total: added.likes_count };
+  }
+
+  // Otra petición concurrente del mismo usuario agregó el like
+  const current = await this.findById(commentId).select('likes_count').lean();
+  return { action: 'added', total: current?.likes_count || 0 };
+};
+
+commentSchema.pre('save', function(next) {
+  if (this.isModified('contenido') && !this.isNew) {
+    this.editado = true;
+    this.fecha_edicion = new Date();
+  }
+  next();
+});
+
+// Hilos de un post en orden cronológico (paginación por cursor)
+commentSchema.index({ post_id: 1, parent_id: 1, fecha_publicacion: 1, _id: 1 });
+commentSchema.index({ autor: 1, fecha_publicacion: -1 });
+commentSchema.index({ 'likes.usuario': 1 });
+commentSchema.index({ reportado: 1, 'reportes.fecha': -1 });
+commentSchema.index({ 'reportes.usuario': 1 });
+commentSchema.index({ 'reportes.estado': 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
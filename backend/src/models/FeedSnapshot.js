@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Ranking congelado del feed de un usuario: las páginas siguientes leen este orden
+// en vez de recalcularlo, así un like entre páginas no duplica ni salta publicaciones
+const feedSnapshotSchema = new mongoose.Schema({
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hora de referencia del ranking
+  generado: {
+    type: Date,
+    required: true
+  },
+  // Publicaciones en el orden del feed, con el puntaje con que se rankearon
+  items: [{
+    _id: false,
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    feed_score: Number,
+    engagement_score: Number
+  }],
+  // El índice TTL elimina el snapshot al vencer
+  expira: {
+    type: Date,
+    required: true
+  }
+});
+
+feedSnapshotSchema.index({ expira: 1 }, { expireAfterSeconds: 0 });
+feedSnapshotSchema.index({ usuario: 1 });
+
+module.exports = mongoose.model('FeedSnapshot', feedSnapshotSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Relación de seguimiento entre usuarios (una arista por par seguidor → seguido).
+// Los contadores de User.contadores solo cuentan las relaciones 'aceptado'.
+const followSchema = new mongoose.Schema({
+  seguidor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El seguidor es requerido']
+  },
+  seguido: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario seguido es requerido']
+  },
+  // 'pendiente' cuando el perfil del seguido no es público y aún no aprueba la solicitud
+  estado: {
+    type: String,
+    enum: {
+      values: ['pendiente', 'aceptado'],
+      message: 'Estado de seguimiento no válido'
+    },
+    default: 'aceptado'
+  },
+  fecha_creacion: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  fecha_aceptacion: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false
+});
+
+// Validación
+followSchema.pre('validate', function(next) {
+  if (this.seguidor && this.seguido && this.seguidor.equals(this.seguido)) {
+    return next(new Error('Un usuario no puede seguirse a sí mismo'));
+  }
+  next();
+});
+
+// Métodos estáticos
+followSchema.statics.obtenerRelacion = async function(seguidorId, seguidoId) {
+  return this.findOne({ seguidor: seguidorId, seguido: seguidoId }).lean();
+};
+
+followSchema.statics.esSeguidor = async function(seguidorId, seguidoId) {
+  const relacion = await this.exists({ seguidor: seguidorId, seguido: seguidoId, estado: 'aceptado' });
+  return Boolean(relacion);
+};
+
+// Índices
+followSchema.index({ seguidor: 1, seguido: 1 }, { unique: true });
+followSchema.index({ seguido: 1, estado: 1, fecha_creacion: -1 });
+followSchema.index({ seguidor: 1, estado: 1, fecha_creacion: -1 });
+
+module.exports = mongoose.model('Follow', followSchema);
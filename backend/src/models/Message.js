@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { createError } = require('../utils/helpers');
+
+// Emojis permitidos en las reacciones
+const REACCIONES = ['👍', '👎', '❤️', '😂', '😮', '😢', '😡', '👏', '🔥', '💯'];
 
 const reaccionSchema = new mongoose.Schema({
   usuario: {
@@ -9,7 +13,7 @@ const reaccionSchema = new mongoose.Schema({
   emoji: {
     type: String,
     required: true,
-    enum: ['👍', '👎', '❤️', '😂', '😮', '😢', '😡', '👏', '🔥', '💯'],
+    enum: REACCIONES,
     maxlength: 2
   },
   fecha: {
@@ -335,6 +339,15 @@ const messageSchema = new mongoose.Schema({
     fecha: {
       type: Date,
       default: Date.now
+    },
+    // Resultado de la revisión; el usuario que reportó puede consultarlo
+    estado: {
+      type: String,
+      enum: ['pendiente', 'resuelto', 'descartado'],
+      default: 'pendiente'
+    },
+    fecha_resolucion: {
+      type: Date
     }
   }],
   moderado: {
@@ -410,6 +423,8 @@ messageSchema.virtual('contenido_display').get(function() {
   return this.contenido;
 });
 
+messageSchema.statics.REACCIONES = REACCIONES;
+
 // Métodos
 messageSchema.methods.markAsRead = function(userId) {
   const alreadyRead = this.leido.some(read => 
@@ -456,6 +471,60 @@ messageSchema.methods.addReaction = function(userId, emoji) {
   }
 };
 
+// Intentos ante reacciones simultáneas del mismo usuario sobre el mismo mensaje
+const MAX_INTENTOS_REACCION = 3;
+
+/**
+ * Reacción atómica, igual que Post.toggleLike: quita (mismo emoji), cambia o agrega
+ * la reacción del usuario con actualizaciones condicionadas al estado actual
+ * @param {object} filter - Filtro que identifica el mensaje (con sus condiciones de visibilidad)
+ * @param {string} userId - ID de quien reacciona
+ * @param {string} emoji - Uno de REACCIONES
+ * @returns {Promise<object|null>} - { action, message } o null si el mensaje no existe
+ */
+messageSchema.statics.toggleReaction = async function(filter, userId, emoji) {
+  const options = { new: true, projection: { reacciones: 1, 'estadisticas.total_reacciones': 1 } };
+
+  for (let intento = 1; intento <= MAX_INTENTOS_REACCION; intento += 1) {
+    const removed = await this.findOneAndUpdate(
+      { ...filter, reacciones: { $elemMatch: { usuario: userId, emoji } } },
+      { $pull: { reacciones: { usuario: userId } }, $inc: { 'estadisticas.total_reacciones': -1 } },
+      options
+    );
+    if (removed) {
+      return { action: 'removed', message: removed };
+    }
+
+    const changed = await this.findOneAndUpdate(
+      { ...filter, reacciones: { $elemMatch: { usuario: userId, emoji: { $ne: emoji } } } },
+      { $set: { 'reacciones.$.emoji': emoji, 'reacciones.$.fecha': new Date() } },
+      options
+    );
+    if (changed) {
+      return { action: 'changed', message: changed };
+    }
+
+    const added = await this.findOneAndUpdate(
+      { ...filter, 'reacciones.usuario': { $ne: userId } },
+      {
+        $push: { reacciones: { usuario: userId, emoji, fecha: new Date() } },
+        $inc: { 'estadisticas.total_reacciones': 1 }
+      },
+      options
+    );
+    if (added) {
+      return { action: 'added', message: added };
+    }
+
+    // Ningún paso aplicó: el mensaje no existe o otra petición cambió la reacción entremedio
+    if (!(await this.exists(filter))) {
+      return null;
+    }
+  }
+
+  throw createError(409, 'La reacción cambió mientras se procesaba, intenta de nuevo');
+};
+
 messageSchema.methods.edit = function(newContent) {
   if (this.tipo_mensaje !== 'texto') {
     throw new Error('Solo se pueden editar mensajes de texto');
@@ -522,6 +591,8 @@ messageSchema.index({ eliminado: 1, fecha_envio: -1 });
 messageSchema.index({ programado: 1, fecha_programada: 1 });
 messageSchema.index({ 'temporal.habilitado': 1, 'temporal.eliminar_en': 1 });
 messageSchema.index({ reportado: 1 });
+messageSchema.index({ 'reportes.usuario': 1 });
+messageSchema.index({ 'reportes.estado': 1 });
 messageSchema.index({ 'respuesta_a.mensaje_id': 1 });
 
 // Índice compuesto para mensajes de un chat ordenados por fecha
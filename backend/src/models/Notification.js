@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { resolveChannels } = require('../utils/notificationPreferences');
 
 const notificationSchema = new mongoose.Schema({
   destinatario: {
@@ -230,9 +231,22 @@ notificationSchema.statics.crearNotificacion = async function(data) {
   
   // Verificar si el usuario tiene habilitadas las notificaciones de este tipo
   const User = mongoose.model('User');
-  const usuario = await User.findById(destinatario);
+  const usuario = await User.findById(destinatario).select('activo configuracion').lean();
   
-  if (!usuario || !usuario.isActive) {
+  if (!usuario || !usuario.activo) {
+    return null;
+  }
+
+  // Chat asociado (si lo hay) para aplicar silencios por chat
+  const chatId = data.chat ||
+    datos_extra.chat_id ||
+    (referencia.tipo === 'chat' ? referencia.id : null);
+  const chat = chatId
+    ? await mongoose.model('Chat').findById(chatId).select('participantes configuracion').lean()
+    : null;
+
+  const { enabled, canales } = resolveChannels(usuario, tipo, { chat });
+  if (!enabled) {
     return null;
   }
   
@@ -250,6 +264,7 @@ notificationSchema.statics.crearNotificacion = async function(data) {
     // Actualizar la notificación existente en lugar de crear una nueva
     existingNotification.mensaje = mensaje;
     existingNotification.fecha_creacion = new Date();
+    existingNotification.canales = canales;
     existingNotification.datos_extra = { ...existingNotification.datos_extra, ...datos_extra };
     return await existingNotification.save();
   }
@@ -262,6 +277,7 @@ notificationSchema.statics.crearNotificacion = async function(data) {
     titulo,
     mensaje,
     referencia,
+    canales,
     prioridad,
     grupo,
     datos_extra
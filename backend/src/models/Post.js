@@ -1,62 +1,11 @@
 const mongoose = require('mongoose');
 
-const comentarioSchema = new mongoose.Schema({
-  autor: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: [true, 'El autor del comentario es requerido']
-  },
-  contenido: {
-    type: String,
-    required: [true, 'El contenido del comentario es requerido'],
-    trim: true,
-    maxlength: [1000, 'El comentario no puede exceder 1000 caracteres'],
-    minlength: [1, 'El comentario no puede estar vacío']
-  },
-  fecha_publicacion: {
-    type: Date,
-    default: Date.now,
-    immutable: true
-  },
-  likes: [{
-    usuario: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    fecha: {
-      type: Date,
-      default: Date.now
-    }
-  }],
-  editado: {
-    type: Boolean,
-    default: false
-  },
-  fecha_edicion: {
-    type: Date
-  },
-  reportado: {
-    type: Boolean,
-    default: false
-  },
-  reportes: [{
-    usuario: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    razon: {
-      type: String,
-      enum: ['spam', 'ofensivo', 'inapropiado', 'acoso', 'otro'],
-      required: true
-    },
-    fecha: {
-      type: Date,
-      default: Date.now
-    }
-  }]
-}, {
-  timestamps: true
-});
+// Pesos del engagement (mismos que el virtual engagement_score, sin las visualizaciones)
+const ENGAGEMENT_PESOS = {
+  like: 2,
+  comentario: 3,
+  compartido: 4
+};
 
 const postSchema = new mongoose.Schema({
   autor: {
@@ -119,7 +68,18 @@ const postSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  comentarios: [comentarioSchema],
+  // Contadores desnormalizados: likes_count se actualiza con $inc junto al arreglo
+  // y comentarios_count con cada comentario (colección Comment) creado o eliminado
+  likes_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  comentarios_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   visualizaciones: {
     type: Number,
     default: 0,
@@ -130,6 +90,13 @@ const postSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Engagement ponderado (likes ×2, comentarios ×3, compartidos ×4): se actualiza con
+  // $inc junto a cada contador para ordenar por engagement con un índice
+  engagement_count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   editado: {
     type: Boolean,
     default: false
@@ -181,6 +148,15 @@ const postSchema = new mongoose.Schema({
     fecha: {
       type: Date,
       default: Date.now
+    },
+    // Resultado de la revisión; el usuario que reportó puede consultarlo
+    estado: {
+      type: String,
+      enum: ['pendiente', 'resuelto', 'descartado'],
+      default: 'pendiente'
+    },
+    fecha_resolucion: {
+      type: Date
     }
   }],
   campus_especifico: {
@@ -221,6 +197,25 @@ const postSchema = new mongoose.Schema({
       type: Number,
       min: 0
     },
+    dimensiones: {
+      ancho: {
+        type: Number,
+        min: 0
+      },
+      alto: {
+        type: Number,
+        min: 0
+      }
+    },
+    thumbnail: {
+      type: String,
+      validate: {
+        validator: function(url) {
+          return !url || /^https?:\/\/.+/.test(url);
+        },
+        message: 'La URL del thumbnail debe ser válida'
+      }
+    },
     fecha_subida: {
       type: Date,
       default: Date.now
@@ -233,11 +228,11 @@ const postSchema = new mongoose.Schema({
 });
 
 postSchema.virtual('total_likes').get(function() {
-  return this.likes ? this.likes.length : 0;
+  return this.likes_count || 0;
 });
 
 postSchema.virtual('total_comentarios').get(function() {
-  return this.comentarios ? this.comentarios.length : 0;
+  return this.comentarios_count || 0;
 });
 
 postSchema.virtual('engagement_score').get(function() {
@@ -246,7 +241,8 @@ postSchema.virtual('engagement_score').get(function() {
   const views = this.visualizaciones || 0;
   const shares = this.compartido || 0;
   
-  return (likes * 2) + (comments * 3) + (views * 0.1) + (shares * 4);
+  return (likes * ENGAGEMENT_PESOS.like) + (comments * ENGAGEMENT_PESOS.comentario) +
+    (views * 0.1) + (shares * ENGAGEMENT_PESOS.compartido);
 });
 
 postSchema.virtual('tiempo_publicacion').get(function() {
@@ -271,16 +267,67 @@ postSchema.methods.addLike = function(userId) {
   
   if (existingLike) {
     this.likes = this.likes.filter(like => like.usuario.toString() !== userId.toString());
-    return { action: 'removed', total: this.likes.length };
   } else {
     this.likes.push({ usuario: userId });
-    return { action: 'added', total: this.likes.length };
+  }
+
+  this.engagement_count += (this.likes.length - this.likes_count) * ENGAGEMENT_PESOS.like;
+  this.likes_count = this.likes.length;
+  return { action: existingLike ? 'removed' : 'added', total: this.likes_count };
+};
+
+// Like/unlike atómico: el arreglo y likes_count cambian en la misma operación,
+// y la condición sobre 'likes.usuario' evita likes duplicados o contadores negativos
+postSchema.statics.toggleLike = async function(postId, userId) {
+  const removed = await this.findOneAndUpdate(
+    { _id: postId, 'likes.usuario': userId },
+    { $pull: { likes: { usuario: userId } }, $inc: { likes_count: -1, engagement_count: -ENGAGEMENT_PESOS.like } },
+    { new: true, projection: { likes_count: 1 } }
+  );
+
+  if (removed) {
+    return { action: 'removed', total: removed.likes_count };
+  }
+
+  const added = await this.findOneAndUpdate(
+    { _id: postId, 'likes.usuario': { $ne: userId } },
+    { $push: { likes: { usuario: userId, fecha: new Date() } }, $inc: { likes_count: 1, engagement_count: ENGAGEMENT_PESOS.like } },
+    { new: true, projection: { likes_count: 1 } }
+  );
+
+  if (added) {
+    return { action: 'added', total: added.likes_count };
+  }
+
+  // Otra petición concurrente del mismo usuario agregó el like
+  const current = await this.findById(postId).select('likes_count').lean();
+  return { action: 'added', total: current?.likes_count || 0 };
+};
+
+postSchema.statics.ENGAGEMENT_PESOS = ENGAGEMENT_PESOS;
+
+/**
+ * Etapa de actualización (pipeline) que recalcula engagement_count desde los contadores
+ * del documento. Las migraciones que corrigen contadores la agregan al final
+ */
+postSchema.statics.ENGAGEMENT_STAGE = {
+  $set: {
+    engagement_count: {
+      $add: [
+        { $multiply: [{ $ifNull: ['$likes_count', 0] }, ENGAGEMENT_PESOS.like] },
+        { $multiply: [{ $ifNull: ['$comentarios_count', 0] }, ENGAGEMENT_PESOS.comentario] },
+        { $multiply: [{ $ifNull: ['$compartido', 0] }, ENGAGEMENT_PESOS.compartido] }
+      ]
+    }
   }
 };
 
-postSchema.methods.addComment = function(commentData) {
-  this.comentarios.push(commentData);
-  return this.comentarios[this.comentarios.length - 1];
+/**
+ * $inc de comentarios_count que también mantiene engagement_count
+ * @param {number} delta - 1 al crear o restaurar, -1 al eliminar u ocultar
+ */
+postSchema.statics.commentCountInc = function(delta) {
+  return { comentarios_count: delta, engagement_count: delta * ENGAGEMENT_PESOS.comentario };
 };
 
 postSchema.methods.incrementViews = function() {
@@ -311,8 +358,14 @@ postSchema.index({ tags: 1 });
 postSchema.index({ campus_especifico: 1, carrera_especifica: 1 });
 postSchema.index({ destacado: 1, fecha_publicacion: -1 });
 postSchema.index({ activo: 1, moderado: 1 });
+postSchema.index({ activo: 1, moderado: 1, fecha_publicacion: -1 });
+postSchema.index({ activo: 1, moderado: 1, likes_count: -1, _id: -1 });
+postSchema.index({ activo: 1, moderado: 1, engagement_count: -1, _id: -1 });
+postSchema.index({ activo: 1, moderado: 1, visualizaciones: -1, _id: -1 });
 postSchema.index({ 'likes.usuario': 1 });
 postSchema.index({ reportado: 1, 'reportes.fecha': -1 });
+postSchema.index({ 'reportes.usuario': 1 });
+postSchema.index({ 'reportes.estado': 1 });
 postSchema.index({ 
   titulo: 'text', 
   contenido: 'text', 
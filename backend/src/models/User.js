@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashToken } = require('../utils/helpers');
 
 // Carreras oficiales UCN Campus Coquimbo (17 carreras)
 const CARRERAS_UCN_COQUIMBO = [
@@ -208,6 +209,17 @@ const userSchema = new mongoose.Schema({
     select: false
   },
 
+  // CAMPOS DE RECUPERACIÓN DE CONTRASEÑA (solo hash, uso único)
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
   fecha_verificacion: {
     type: Date,
     default: null
@@ -229,17 +241,85 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // Refresh tokens emitidos (solo hash). Cada login abre una familia que rota en /refresh
+  refreshTokens: {
+    type: [{
+      tokenHash: {
+        type: String,
+        required: true
+      },
+      family: {
+        type: String,
+        required: true
+      },
+      remember: {
+        type: Boolean,
+        default: false
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      },
+      rotatedAt: {
+        type: Date,
+        default: null
+      },
+      ip: String,
+      userAgent: String
+    }],
+    select: false,
+    default: []
+  },
+
+  // Versión de los tokens de acceso: revocar todas las sesiones la incrementa y los
+  // tokens emitidos con otra versión dejan de ser válidos
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
   accountStatus: {
     type: String,
     enum: ['pending_verification', 'active', 'suspended', 'locked'],
     default: 'pending_verification'
   },
 
+  // Datos de la última suspensión (accountStatus 'suspended'); sin `hasta` es indefinida
+  suspension: {
+    razon: {
+      type: String,
+      maxlength: [500, 'La razón de suspensión no puede exceder 500 caracteres'],
+      default: null
+    },
+    hasta: {
+      type: Date,
+      default: null
+    },
+    fecha: {
+      type: Date,
+      default: null
+    },
+    suspendido_por: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+
   last_login: {
     type: Date,
     default: null
   },
 
+  fecha_ultimo_resumen: {
+    type: Date,
+    default: null
+  },
+
   fecha_registro: {
     type: Date,
     default: Date.now,
@@ -264,6 +344,15 @@ const userSchema = new mongoose.Schema({
       publicaciones: {
         type: Boolean,
         default: true
+      },
+      // Resumen por email de notificaciones no leídas
+      resumen: {
+        type: String,
+        enum: {
+          values: ['off', 'daily', 'weekly'],
+          message: 'Frecuencia de resumen no válida'
+        },
+        default: 'weekly'
       }
     },
     privacidad: {
@@ -282,6 +371,20 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // CONTADORES SOCIALES (relaciones aceptadas en la colección Follow)
+  contadores: {
+    seguidores: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    siguiendo: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
   // CAMPOS ADICIONALES
   telefono: {
     type: String,
@@ -305,6 +408,9 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.emailVerificationCode;
       delete ret.emailVerificationExpires;
+      delete ret.refreshTokens;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
       return ret;
     }
   },
@@ -331,6 +437,7 @@ userSchema.index({ rut: 1 }, { unique: true });
 userSchema.index({ carrera: 1, año_ingreso: 1 });
 userSchema.index({ verificado: 1, activo: 1 });
 userSchema.index({ accountStatus: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Middleware pre-save para actualizar nombre completo
 userSchema.pre('save', function(next) {
@@ -351,11 +458,59 @@ userSchema.methods.isAccountLocked = function() {
          this.loginAttempts.lockedUntil > new Date();
 };
 
+/**
+ * Indica si la suspensión del usuario sigue vigente (admite documentos lean)
+ */
+const isSuspended = (user) =>
+  user.accountStatus === 'suspended' &&
+  (!user.suspension?.hasta || new Date(user.suspension.hasta) > new Date());
+
+userSchema.statics.isSuspended = isSuspended;
+
+userSchema.methods.isSuspended = function() {
+  return isSuspended(this);
+};
+
+/**
+ * Estado de cuenta considerando el vencimiento de la suspensión (admite documentos lean)
+ * Una suspensión vencida vale como 'active' o 'pending_verification' según la verificación.
+ */
+const effectiveAccountStatus = (user) => {
+  if (user.accountStatus === 'suspended' && !isSuspended(user)) {
+    return user.verificado ? 'active' : 'pending_verification';
+  }
+  return user.accountStatus;
+};
+
+userSchema.statics.effectiveAccountStatus = effectiveAccountStatus;
+
+/**
+ * Persistir el fin de una suspensión vencida
+ * Solo actualiza si sigue suspendido con la misma fecha de término, para no
+ * pisar una suspensión nueva aplicada entretanto.
+ * @param {object} user - Usuario (documento o lean)
+ * @returns {Promise<boolean>} - true si la suspensión estaba vencida y se levantó
+ */
+userSchema.statics.clearExpiredSuspension = async function(user) {
+  const accountStatus = effectiveAccountStatus(user);
+  if (user.accountStatus !== 'suspended' || accountStatus === 'suspended') {
+    return false;
+  }
+
+  await this.updateOne(
+    { _id: user._id, accountStatus: 'suspended', 'suspension.hasta': user.suspension.hasta },
+    { accountStatus }
+  );
+  user.accountStatus = accountStatus;
+  return true;
+};
+
 userSchema.methods.incrementLoginAttempts = async function() {
   this.loginAttempts.failed += 1;
   this.loginAttempts.lastAttempt = new Date();
 
-  if (this.loginAttempts.failed >= 5) {
+  // Una cuenta suspendida conserva su estado: el bloqueo no debe levantar la suspensión
+  if (this.loginAttempts.failed >= 5 && !this.isSuspended()) {
     this.accountStatus = 'locked';
     this.loginAttempts.lockedUntil = new Date(Date.now() + 2 * 60 * 60 * 1000); // 2 horas
   }
@@ -375,4 +530,79 @@ userSchema.methods.resetLoginAttempts = async function() {
   return await this.save();
 };
 
+userSchema.methods.addRefreshToken = async function(token, { family, expiresAt, remember = false, ip, userAgent }) {
+  const User = this.constructor;
+
+  // Descartar tokens expirados antes de agregar el nuevo
+  await User.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { expiresAt: { $lte: new Date() } } } }
+  );
+
+  return await User.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        refreshTokens: {
+          tokenHash: hashToken(token),
+          family,
+          remember,
+          expiresAt,
+          ip,
+          userAgent
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Marca un refresh token como rotado de forma atómica.
+ * Retorna { status: 'rotated' | 'reused' | 'unknown', entry }
+ */
+userSchema.statics.rotateRefreshToken = async function(userId, token) {
+  const tokenHash = hashToken(token);
+
+  const user = await this.findOneAndUpdate(
+    {
+      _id: userId,
+      refreshTokens: {
+        $elemMatch: { tokenHash, rotatedAt: null, expiresAt: { $gt: new Date() } }
+      }
+    },
+    { $set: { 'refreshTokens.$.rotatedAt': new Date() } },
+    { projection: { refreshTokens: { $elemMatch: { tokenHash } } } }
+  );
+
+  if (user) {
+    return { status: 'rotated', entry: user.refreshTokens[0] };
+  }
+
+  // Si el token existe pero ya fue rotado, alguien está reutilizándolo
+  const reused = await this.findOne(
+    { _id: userId, 'refreshTokens.tokenHash': tokenHash },
+    { refreshTokens: { $elemMatch: { tokenHash } } }
+  );
+
+  if (reused && reused.refreshTokens[0].rotatedAt) {
+    return { status: 'reused', entry: reused.refreshTokens[0] };
+  }
+
+  return { status: 'unknown', entry: null };
+};
+
+userSchema.statics.revokeRefreshTokenFamily = async function(userId, family) {
+  return await this.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { family } } }
+  );
+};
+
+userSchema.statics.revokeAllSessions = async function(userId) {
+  return await this.updateOne(
+    { _id: userId },
+    { $set: { refreshTokens: [] }, $inc: { tokenVersion: 1 } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -1,9 +1,13 @@
 // Archivo de índice para exportar todos los modelos de Mongoose
 const User = require('./User');
 const Post = require('./Post');
+const Comment = require('./Comment');
 const Chat = require('./Chat');
 const Message = require('./Message');
 const Notification = require('./Notification');
+const Follow = require('./Follow');
+const AuditLog = require('./AuditLog');
+const FeedSnapshot = require('./FeedSnapshot');
 
 // Modelos simplificados para Socket.IO chat
 const ChatSimple = require('./ChatSimple');
@@ -13,9 +17,13 @@ const MessageSimple = require('./MessageSimple');
 const models = {
   User,
   Post,
+  Comment,
   Chat,
   Message,
   Notification,
+  Follow,
+  AuditLog,
+  FeedSnapshot,
   ChatSimple,
   MessageSimple
 };
@@ -208,9 +216,11 @@ const cleanDatabase = async () => {
     await Promise.all([
       User.deleteMany({}),
       Post.deleteMany({}),
+      Comment.deleteMany({}),
       Chat.deleteMany({}),
       Message.deleteMany({}),
-      Notification.deleteMany({})
+      Notification.deleteMany({}),
+      Follow.deleteMany({})
     ]);
     
     console.log('✅ Base de datos limpiada');
@@ -247,9 +257,12 @@ module.exports = {
   // Modelos
   User,
   Post,
+  Comment,
   Chat,
   Message,
   Notification,
+  Follow,
+  AuditLog,
   
   // Funciones utilitarias
   initializeModels,
@@ -0,0 +1,153 @@
+const express = require('express');
+const {
+  getModerationQueue,
+  hideContent,
+  restoreContent,
+  dismissReports,
+  warnAuthor
+} = require('../controllers/moderationController');
+const {
+  getUsers,
+  suspendUser,
+  unsuspendUser,
+  unlockUser,
+  verifyUser,
+  changeUserRole
+} = require('../controllers/adminUserController');
+const { getAuditLogs, exportAuditLogs } = require('../controllers/auditController');
+const { protect, requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../utils/userValidators');
+const { body } = require('express-validator');
+
+const router = express.Router();
+
+// Validación de la razón de una acción de moderación (obligatoria en hide y warn, lo valida el servicio)
+const moderationValidation = [
+  body('razon')
+    .optional()
+    .isString()
+    .withMessage('La razón debe ser texto')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La razón no puede exceder 500 caracteres')
+];
+
+// Validaciones para suspender una cuenta
+const suspendValidation = [
+  body('razon')
+    .isString()
+    .withMessage('La razón es requerida')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('La razón debe tener entre 1 y 500 caracteres'),
+
+  body('hasta')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('La fecha de término debe ser una fecha válida (ISO 8601)')
+];
+
+// Validación del cambio de rol
+const roleValidation = [
+  body('role')
+    .isIn(['student', 'professor', 'admin'])
+    .withMessage('El rol debe ser student, professor o admin')
+];
+
+// Todas las rutas de administración requieren un admin autenticado
+router.use(protect, requireRole('admin'));
+
+// @route   GET /api/admin/moderation
+// @desc    Cola de moderación: contenido con reportes pendientes, del más reportado al más antiguo
+// @access  Admin
+// @query   tipo (post|comentario|mensaje), page, limit
+router.get('/moderation', getModerationQueue);
+
+// @route   POST /api/admin/moderation/:tipo/:id/hide
+// @desc    Ocultar un contenido y resolver sus reportes pendientes
+// @access  Admin
+router.post('/moderation/:tipo/:id/hide',
+  moderationValidation,
+  handleValidationErrors,
+  hideContent
+);
+
+// @route   POST /api/admin/moderation/:tipo/:id/restore
+// @desc    Restaurar un contenido oculto
+// @access  Admin
+router.post('/moderation/:tipo/:id/restore',
+  moderationValidation,
+  handleValidationErrors,
+  restoreContent
+);
+
+// @route   POST /api/admin/moderation/:tipo/:id/dismiss
+// @desc    Descartar los reportes pendientes de un contenido
+// @access  Admin
+router.post('/moderation/:tipo/:id/dismiss',
+  moderationValidation,
+  handleValidationErrors,
+  dismissReports
+);
+
+// @route   POST /api/admin/moderation/:tipo/:id/warn
+// @desc    Advertir al autor y resolver los reportes pendientes
+// @access  Admin
+router.post('/moderation/:tipo/:id/warn',
+  moderationValidation,
+  handleValidationErrors,
+  warnAuthor
+);
+
+// @route   GET /api/admin/users
+// @desc    Buscar usuarios (por nombre, email o RUT) con filtros de rol y estado
+// @access  Admin
+// @query   search, role, accountStatus, verificado, cursor, limit
+router.get('/users', getUsers);
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspender una cuenta con razón y fecha de término opcional
+// @access  Admin
+router.post('/users/:id/suspend',
+  suspendValidation,
+  handleValidationErrors,
+  suspendUser
+);
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Levantar la suspensión de una cuenta
+// @access  Admin
+router.post('/users/:id/unsuspend', unsuspendUser);
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Desbloquear una cuenta bloqueada por intentos fallidos de login
+// @access  Admin
+router.post('/users/:id/unlock', unlockUser);
+
+// @route   POST /api/admin/users/:id/verify
+// @desc    Marcar una cuenta como verificada
+// @access  Admin
+router.post('/users/:id/verify', verifyUser);
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Cambiar el rol de un usuario
+// @access  Admin
+router.put('/users/:id/role',
+  roleValidation,
+  handleValidationErrors,
+  changeUserRole
+);
+
+// @route   GET /api/admin/audit
+// @desc    Consultar el registro de auditoría
+// @access  Admin
+// @query   action (separadas por comas, admite prefijos como AUTH_*), actor, actorEmail, targetType, targetId, ip, from, to, cursor, limit
+router.get('/audit', getAuditLogs);
+
+// @route   GET /api/admin/audit/export
+// @desc    Exportar el registro de auditoría en CSV (mismos filtros)
+// @access  Admin
+// @query   action, actor, actorEmail, targetType, targetId, ip, from, to
+router.get('/audit/export', exportAuditLogs);
+
+module.exports = router;
@@ -15,8 +15,17 @@ const {
   login,
   getProfile,
   verifyEmail,
-  resendVerification
+  resendVerification,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword
 } = require('../controllers/authController');
+const {
+  forgotPasswordValidation,
+  resetPasswordValidation
+} = require('../utils/authValidators');
 
 /**
  * Rate limiting para endpoints de autenticación
@@ -75,6 +84,19 @@ const verificationLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting para recuperación de contraseña - 5 intentos por hora
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 5, // Máximo 5 intentos por hora
+  message: {
+    success: false,
+    message: 'Demasiados intentos de recuperación de contraseña. Intenta de nuevo en 1 hora.',
+    errors: [{ field: 'rate_limit', message: 'Límite de intentos excedido' }]
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Rate limiting general para perfil
 const profileLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
@@ -88,6 +110,19 @@ const profileLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Rate limiting para renovación de tokens - 30 intentos por 15 minutos
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30, // Máximo 30 renovaciones por 15 minutos
+  message: {
+    success: false,
+    message: 'Demasiadas renovaciones de sesión. Intenta de nuevo más tarde.',
+    errors: [{ field: 'rate_limit', message: 'Límite de intentos excedido' }]
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Validadores con express-validator para campos adicionales
  */
@@ -155,6 +190,13 @@ const verifyEmailValidators = [
     .withMessage('El código debe ser de 6 dígitos numéricos')
 ];
 
+const refreshTokenValidators = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('El refresh token es obligatorio')
+];
+
 /**
  * Middleware para manejar errores de validación
  */
@@ -224,6 +266,43 @@ router.get(
   getProfile
 );
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Renovar access/refresh token (rota el refresh token)
+ * @access  Public (requiere refresh token)
+ */
+router.post(
+  '/refresh',
+  refreshLimiter,
+  refreshTokenValidators,
+  handleValidationErrors,
+  refreshToken
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Cerrar sesión en este dispositivo (revoca el refresh token)
+ * @access  Public (requiere refresh token)
+ */
+router.post(
+  '/logout',
+  refreshLimiter,
+  refreshTokenValidators,
+  handleValidationErrors,
+  logout
+);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Cerrar sesión en todos los dispositivos
+ * @access  Private (requiere JWT)
+ */
+router.post(
+  '/logout-all',
+  protect,
+  logoutAll
+);
+
 /**
  * @route   POST /api/auth/verify-email
  * @desc    Verificar email con código de 6 dígitos
@@ -255,6 +334,32 @@ router.post(
   resendVerification
 );
 
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Solicitar token de recuperación de contraseña
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  forgotPasswordValidation,
+  handleValidationErrors,
+  forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Restablecer contraseña con token de recuperación
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  resetPasswordValidation,
+  handleValidationErrors,
+  resetPassword
+);
+
 /**
  * @route   GET /api/auth/carreras
  * @desc    Obtener lista de carreras disponibles
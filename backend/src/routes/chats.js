@@ -1,10 +1,19 @@
 const express = require('express');
 const {
   getUserChats,
+  getUnreadSummary,
   createChat,
   getChatMessages,
-  sendMessage
+  sendMessage,
+  forwardMessage,
+  reactToMessage,
+  getMessageReadBy,
+  updateMessage,
+  deleteMessage
 } = require('../controllers/chatController');
+const { reportMessage } = require('../controllers/reportController');
+const { reportValidation, reportLimit } = require('../utils/reportValidators');
+const Message = require('../models/Message');
 const { protect } = require('../middleware/auth');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
@@ -35,6 +44,18 @@ const sendMessageLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting para reacciones
+const reactionLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 60, // máximo 60 reacciones por minuto
+  message: {
+    success: false,
+    message: 'Demasiadas reacciones. Intenta de nuevo en un minuto.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Validaciones para crear chat
 const createChatValidation = [
   body('tipo')
@@ -125,6 +146,11 @@ const sendMessageValidation = [
     .isIn(['texto', 'imagen', 'archivo', 'audio', 'video', 'ubicacion'])
     .withMessage('Tipo de mensaje no válido'),
     
+  body('reply_to')
+    .optional()
+    .isMongoId()
+    .withMessage('ID de mensaje a responder no válido'),
+    
   body('respuesta_a')
     .optional()
     .isMongoId()
@@ -163,6 +189,34 @@ const sendMessageValidation = [
     .withMessage('La longitud debe estar entre -180 y 180')
 ];
 
+// Validación para editar mensaje
+const editMessageValidation = [
+  body('contenido')
+    .isString()
+    .withMessage('El contenido es requerido')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('El contenido debe tener entre 1 y 10000 caracteres')
+];
+
+// Validación para reenviar mensaje
+const forwardValidation = [
+  body('chat_ids')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Debe indicar entre 1 y 10 chats de destino'),
+
+  body('chat_ids.*')
+    .isMongoId()
+    .withMessage('ID de chat de destino no válido')
+];
+
+// Validación de reacciones
+const reactionValidation = [
+  body('emoji')
+    .isIn(Message.REACCIONES)
+    .withMessage(`La reacción debe ser una de: ${Message.REACCIONES.join(' ')}`)
+];
+
 // Middleware de manejo de errores de validación
 const handleValidationErrors = (req, res, next) => {
   const { validationResult } = require('express-validator');
@@ -185,9 +239,14 @@ router.use(protect);
 // @route   GET /api/chats
 // @desc    Obtener todos los chats del usuario con filtros
 // @access  Protected
-// @query   tipo, search, page, limit, sortBy, order
+// @query   tipo, search, cursor, page, limit, sortBy, order
 router.get('/', getUserChats);
 
+// @route   GET /api/chats/unread-summary
+// @desc    Total de mensajes no leídos y detalle por chat (badges)
+// @access  Protected
+router.get('/unread-summary', getUnreadSummary);
+
 // @route   POST /api/chats
 // @desc    Crear un nuevo chat
 // @access  Protected
@@ -201,7 +260,7 @@ router.post('/',
 // @route   GET /api/chats/:id/messages
 // @desc    Obtener mensajes de un chat específico
 // @access  Protected
-// @query   page, limit, before, search
+// @query   cursor, page, limit, before, search
 router.get('/:id/messages', getChatMessages);
 
 // @route   POST /api/chats/:id/messages
@@ -214,4 +273,54 @@ router.post('/:id/messages',
   sendMessage
 );
 
+// @route   POST /api/chats/:id/messages/:messageId/forward
+// @desc    Reenviar un mensaje (con su archivo) a uno o más chats del usuario
+// @access  Protected (participantes del chat de origen y de los destinos)
+router.post('/:id/messages/:messageId/forward',
+  sendMessageLimit,
+  forwardValidation,
+  handleValidationErrors,
+  forwardMessage
+);
+
+// @route   PUT /api/chats/:id/messages/:messageId
+// @desc    Editar un mensaje de texto propio (dentro de MESSAGE_EDIT_WINDOW_MINUTES)
+// @access  Protected (emisor del mensaje)
+router.put('/:id/messages/:messageId',
+  sendMessageLimit,
+  editMessageValidation,
+  handleValidationErrors,
+  updateMessage
+);
+
+// @route   DELETE /api/chats/:id/messages/:messageId
+// @desc    Eliminar un mensaje
+// @access  Protected (emisor, o admin/moderador del chat con permiso para eliminar mensajes)
+router.delete('/:id/messages/:messageId', deleteMessage);
+
+// @route   POST /api/chats/:id/messages/:messageId/reactions
+// @desc    Reaccionar a un mensaje (el mismo emoji quita la reacción, otro la cambia)
+// @access  Protected (participantes del chat)
+router.post('/:id/messages/:messageId/reactions',
+  reactionLimit,
+  reactionValidation,
+  handleValidationErrors,
+  reactToMessage
+);
+
+// @route   GET /api/chats/:id/messages/:messageId/read-by
+// @desc    Lectores y entregas de un mensaje con sus fechas (chats grupales)
+// @access  Protected (participantes del chat)
+router.get('/:id/messages/:messageId/read-by', getMessageReadBy);
+
+// @route   POST /api/chats/:id/messages/:messageId/report
+// @desc    Reportar un mensaje del chat
+// @access  Protected (participantes del chat)
+router.post('/:id/messages/:messageId/report',
+  reportLimit,
+  reportValidation,
+  handleValidationErrors,
+  reportMessage
+);
+
 module.exports = router;
\ No newline at end of file
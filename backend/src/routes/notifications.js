@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar protección a todas las rutas
+router.use(protect);
+
+// @route   GET /api/notifications
+// @desc    Obtener notificaciones del usuario con paginación por cursor
+// @access  Protected
+// @query   cursor, limit, tipo, leida
+router.get('/', getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Obtener cantidad de notificaciones no leídas
+// @access  Protected
+router.get('/unread-count', getUnreadCount);
+
+// @route   PUT /api/notifications/read-all
+// @desc    Marcar todas las notificaciones como leídas
+// @access  Protected
+router.put('/read-all', markAllAsRead);
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Marcar una notificación como leída
+// @access  Protected
+router.put('/:id/read', markAsRead);
+
+module.exports = router;
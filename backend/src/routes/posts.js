@@ -1,13 +1,24 @@
 const express = require('express');
 const {
   getPosts,
+  getFeed,
   createPost,
   updatePost,
   deletePost,
   toggleLike,
-  addComment,
   getPostById
 } = require('../controllers/postController');
+const {
+  getComments,
+  getReplies,
+  addComment,
+  replyToComment,
+  updateComment,
+  deleteComment,
+  toggleCommentLike
+} = require('../controllers/commentController');
+const { reportPost, reportComment } = require('../controllers/reportController');
+const { reportValidation, reportLimit } = require('../utils/reportValidators');
 const { protect } = require('../middleware/auth');
 const { body } = require('express-validator');
 const rateLimit = require('express-rate-limit');
@@ -200,9 +211,15 @@ router.use(protect);
 // @route   GET /api/posts
 // @desc    Obtener posts con filtros y paginación
 // @access  Protected
-// @query   search, categoria, tipo, campus, carrera, año, autor, destacado, page, limit, sortBy, order
+// @query   search, categoria, tipo, campus, carrera, año, autor, destacado, cursor, page, limit, sortBy, order
 router.get('/', getPosts);
 
+// @route   GET /api/posts/feed
+// @desc    Feed personalizado con ranking y paginación por cursor
+// @access  Protected
+// @query   cursor, limit
+router.get('/feed', getFeed);
+
 // @route   POST /api/posts
 // @desc    Crear un nuevo post
 // @access  Protected
@@ -237,6 +254,16 @@ router.delete('/:id', deletePost);
 // @access  Protected
 router.post('/:id/like', likeLimit, toggleLike);
 
+// @route   POST /api/posts/:id/report
+// @desc    Reportar un post
+// @access  Protected
+router.post('/:id/report',
+  reportLimit,
+  reportValidation,
+  handleValidationErrors,
+  reportPost
+);
+
 // @route   POST /api/posts/:id/comment
 // @desc    Agregar un comentario a un post
 // @access  Protected
@@ -247,4 +274,65 @@ router.post('/:id/comment',
   addComment
 );
 
+// @route   GET /api/posts/:id/comments
+// @desc    Obtener los comentarios de primer nivel de un post
+// @access  Protected
+// @query   cursor, limit
+router.get('/:id/comments', getComments);
+
+// @route   POST /api/posts/:id/comments
+// @desc    Agregar un comentario a un post
+// @access  Protected
+router.post('/:id/comments',
+  commentLimit,
+  commentValidation,
+  handleValidationErrors,
+  addComment
+);
+
+// @route   GET /api/posts/:id/comments/:commentId/replies
+// @desc    Obtener las respuestas de un comentario
+// @access  Protected
+// @query   cursor, limit
+router.get('/:id/comments/:commentId/replies', getReplies);
+
+// @route   POST /api/posts/:id/comments/:commentId/replies
+// @desc    Responder a un comentario
+// @access  Protected
+router.post('/:id/comments/:commentId/replies',
+  commentLimit,
+  commentValidation,
+  handleValidationErrors,
+  replyToComment
+);
+
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Editar un comentario
+// @access  Protected (solo el autor)
+router.put('/:id/comments/:commentId',
+  commentValidation,
+  handleValidationErrors,
+  updateComment
+);
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Eliminar un comentario
+// @access  Protected (el autor, el autor del post o admin)
+router.delete('/:id/comments/:commentId', deleteComment);
+
+// @route   POST /api/posts/:id/comments/:commentId/like
+// @desc    Dar/quitar like a un comentario
+// @access  Protected
+router.post('/:id/comments/:commentId/like', likeLimit, toggleCommentLike);
+
+// @route   POST /api/posts/:id/comments/:commentId/report
+// @desc    Reportar un comentario
+// @access  Protected
+router.post('/:id/comments/:commentId/report',
+  reportLimit,
+  reportValidation,
+  handleValidationErrors,
+  reportComment
+);
+
 module.exports = router;
\ No newline at end of file
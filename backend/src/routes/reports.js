@@ -0,0 +1,16 @@
+const express = require('express');
+const { getMyReports } = require('../controllers/reportController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar protección a todas las rutas
+router.use(protect);
+
+// @route   GET /api/reports/mine
+// @desc    Listar los reportes enviados por el usuario actual y su estado
+// @access  Protected
+// @query   estado, cursor, limit
+router.get('/mine', getMyReports);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { uploadFile } = require('../controllers/uploadController');
+const { protect } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Rate limiting para subidas
+const uploadLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 20, // máximo 20 archivos por minuto
+  message: {
+    success: false,
+    message: 'Demasiados archivos subidos. Intenta de nuevo en un minuto.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// @route   POST /api/uploads
+// @desc    Subir un archivo (campo "archivo") y obtener su metadata
+// @access  Protected
+// @body    proposito: 'post' | 'mensaje' | 'avatar'
+router.post('/', protect, uploadLimit, uploadSingle('archivo'), uploadFile);
+
+module.exports = router;
@@ -7,12 +7,21 @@ const {
   getUserById,
   getSuggestedUsers
 } = require('../controllers/userController');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  acceptFollowRequest,
+  rejectFollowRequest
+} = require('../controllers/followController');
 const { protect } = require('../middleware/auth');
 const { 
   updateProfileValidation,
   changePasswordValidation,
   handleValidationErrors
-} = require('../validators/userValidators');
+} = require('../utils/userValidators');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
@@ -53,13 +62,25 @@ const passwordLimit = rateLimit({
   legacyHeaders: false,
 });
 
+// Rate limiting para seguir / dejar de seguir
+const followLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 30, // máximo 30 acciones de seguimiento por minuto
+  message: {
+    success: false,
+    message: 'Demasiadas acciones de seguimiento. Intenta de nuevo en un minuto.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Aplicar protección a todas las rutas
 router.use(protect);
 
 // @route   GET /api/users
 // @desc    Buscar usuarios con filtros
 // @access  Protected
-// @query   search, carrera, campus, año_ingreso, verificado, page, limit, sortBy, order
+// @query   search, carrera, campus, año_ingreso, verificado, cursor, page, limit, sortBy, order
 router.get('/', searchLimit, searchUsers);
 
 // @route   GET /api/users/profile
@@ -92,6 +113,44 @@ router.put('/password',
 // @access  Protected
 router.get('/suggestions', getSuggestedUsers);
 
+// @route   GET /api/users/follow-requests
+// @desc    Listar solicitudes de seguimiento pendientes
+// @access  Protected
+// @query   cursor, limit
+router.get('/follow-requests', getFollowRequests);
+
+// @route   POST /api/users/follow-requests/:id/accept
+// @desc    Aceptar la solicitud de seguimiento del usuario :id
+// @access  Protected
+router.post('/follow-requests/:id/accept', acceptFollowRequest);
+
+// @route   DELETE /api/users/follow-requests/:id
+// @desc    Rechazar la solicitud de seguimiento del usuario :id
+// @access  Protected
+router.delete('/follow-requests/:id', rejectFollowRequest);
+
+// @route   POST /api/users/:id/follow
+// @desc    Seguir a un usuario (envía solicitud si su perfil es privado)
+// @access  Protected
+router.post('/:id/follow', followLimit, followUser);
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Dejar de seguir a un usuario o cancelar la solicitud
+// @access  Protected
+router.delete('/:id/follow', followLimit, unfollowUser);
+
+// @route   GET /api/users/:id/followers
+// @desc    Listar seguidores de un usuario
+// @access  Protected
+// @query   cursor, limit
+router.get('/:id/followers', getFollowers);
+
+// @route   GET /api/users/:id/following
+// @desc    Listar usuarios seguidos por un usuario
+// @access  Protected
+// @query   cursor, limit
+router.get('/:id/following', getFollowing);
+
 // @route   GET /api/users/:id
 // @desc    Obtener perfil público de un usuario específico
 // @access  Protected
@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { notify } = require('./notificationService');
+const { disconnectUser } = require('../sockets/io');
+const { createError, logAction } = require('../utils/helpers');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Servicio de administración de usuarios
+ * Búsqueda, suspensión, desbloqueo, verificación manual y cambio de rol.
+ * Cada acción queda en el log de auditoría con el email del admin.
+ */
+
+const ROLES = ['student', 'professor', 'admin'];
+
+const ESTADOS_CUENTA = ['pending_verification', 'active', 'suspended', 'locked'];
+
+// Campos que ve el admin (sin credenciales ni tokens)
+const ADMIN_USER_FIELDS = 'name email rut role carrera año_ingreso foto_perfil verificado activo ' +
+  'accountStatus suspension loginAttempts last_login fecha_registro fecha_verificacion';
+
+/**
+ * Escapar un texto para usarlo dentro de una expresión regular
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Obtener un usuario o lanzar 400/404
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<User>}
+ */
+const getUser = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw createError(400, 'ID de usuario no válido');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw createError(404, 'Usuario no encontrado');
+  }
+
+  return user;
+};
+
+/**
+ * Rechazar acciones del admin sobre su propia cuenta
+ */
+const assertNotSelf = (admin, user, message) => {
+  if (user._id.toString() === admin.id.toString()) {
+    throw createError(400, message);
+  }
+};
+
+/**
+ * Datos del usuario que se devuelven al admin
+ */
+const formatUser = (user) => {
+  const { password, refreshTokens, __v, ...data } = user.toObject ? user.toObject() : user;
+  return data;
+};
+
+/**
+ * Datos de auditoría de una acción del admin sobre un usuario
+ */
+const auditContext = (admin, user, context, metadata = {}) => ({
+  ...context,
+  actor: admin.id,
+  target: { type: 'user', id: user._id },
+  metadata: { email: user.email, ...metadata }
+});
+
+/**
+ * Filtro por estado de cuenta con la semántica de User.isSuspended: una
+ * suspensión vencida cuenta como 'active' o 'pending_verification'
+ * @param {string} accountStatus - Uno de ESTADOS_CUENTA
+ * @param {Date} now - Fecha de referencia
+ * @returns {object} - Filtro de Mongo
+ */
+const accountStatusFilter = (accountStatus, now = new Date()) => {
+  if (accountStatus === 'suspended') {
+    return {
+      accountStatus,
+      $or: [{ 'suspension.hasta': null }, { 'suspension.hasta': { $gt: now } }]
+    };
+  }
+
+  if (accountStatus === 'active' || accountStatus === 'pending_verification') {
+    return {
+      $or: [
+        { accountStatus },
+        {
+          accountStatus: 'suspended',
+          'suspension.hasta': { $lte: now },
+          verificado: accountStatus === 'active'
+        }
+      ]
+    };
+  }
+
+  return { accountStatus };
+};
+
+/**
+ * Buscar usuarios, del registro más reciente al más antiguo
+ * @param {object} options - { search, role, accountStatus, verificado, cursor (decodificado), limit }
+ * @returns {Promise<object>} - { users, pagination }
+ */
+const listUsers = async ({ search, role, accountStatus, verificado, cursor = null, limit = 20 } = {}) => {
+  const conditions = [];
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    conditions.push({ $or: [{ name: pattern }, { email: pattern }, { rut: pattern }] });
+  }
+  if (role) conditions.push({ role });
+  if (accountStatus) conditions.push(accountStatusFilter(accountStatus));
+  if (verificado !== undefined) conditions.push({ verificado: verificado === 'true' });
+
+  const filters = conditions.length > 0 ? { $and: conditions } : {};
+
+  const { items, pagination } = await paginate(User, filters, {
+    sortField: 'fecha_registro',
+    order: -1,
+    cursor,
+    limit,
+    build: (query) => query.select(ADMIN_USER_FIELDS).lean()
+  });
+
+  return {
+    users: items.map(user => ({
+      ...user,
+      accountStatus: User.effectiveAccountStatus(user),
+      suspendido: User.isSuspended(user)
+    })),
+    pagination
+  };
+};
+
+/**
+ * Suspender una cuenta
+ * @param {object} admin - req.user del admin
+ * @param {string} userId - ID del usuario
+ * @param {object} data - { razon, hasta } (sin `hasta` la suspensión es indefinida)
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - Usuario actualizado
+ */
+const suspendUser = async (admin, userId, { razon, hasta = null }, context = {}) => {
+  const user = await getUser(userId);
+  assertNotSelf(admin, user, 'No puedes suspender tu propia cuenta');
+
+  if (user.role === 'admin') {
+    throw createError(403, 'No se puede suspender a un administrador');
+  }
+
+  const fechaTermino = hasta ? new Date(hasta) : null;
+  if (fechaTermino && fechaTermino <= new Date()) {
+    throw createError(400, 'La fecha de término de la suspensión debe ser futura');
+  }
+
+  user.accountStatus = 'suspended';
+  user.suspension = {
+    razon,
+    hasta: fechaTermino,
+    fecha: new Date(),
+    suspendido_por: admin.id
+  };
+  await user.save();
+
+  // Las conexiones en vivo se cierran; protect rechaza las peticiones siguientes
+  disconnectUser(user._id);
+
+  logAction('ADMIN_USER_SUSPEND', admin.email, `Usuario: ${user.email} - Hasta: ${fechaTermino ? fechaTermino.toISOString() : 'indefinida'} - Razón: ${razon}`,
+    auditContext(admin, user, context, { razon, hasta: fechaTermino }));
+
+  return formatUser(user);
+};
+
+/**
+ * Levantar la suspensión de una cuenta
+ * @param {object} admin - req.user del admin
+ * @param {string} userId - ID del usuario
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - Usuario actualizado
+ */
+const unsuspendUser = async (admin, userId, context = {}) => {
+  const user = await getUser(userId);
+
+  if (user.accountStatus !== 'suspended') {
+    throw createError(409, 'La cuenta no está suspendida');
+  }
+
+  user.accountStatus = user.verificado ? 'active' : 'pending_verification';
+  await user.save();
+
+  logAction('ADMIN_USER_UNSUSPEND', admin.email, `Usuario: ${user.email}`, auditContext(admin, user, context));
+
+  return formatUser(user);
+};
+
+/**
+ * Desbloquear una cuenta bloqueada por intentos fallidos de login
+ * @param {object} admin - req.user del admin
+ * @param {string} userId - ID del usuario
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - Usuario actualizado
+ */
+const unlockUser = async (admin, userId, context = {}) => {
+  const user = await getUser(userId);
+
+  if (user.accountStatus !== 'locked' && !user.loginAttempts?.failed) {
+    throw createError(409, 'La cuenta no está bloqueada');
+  }
+
+  await user.resetLoginAttempts();
+
+  logAction('ADMIN_USER_UNLOCK', admin.email, `Usuario: ${user.email}`, auditContext(admin, user, context));
+
+  return formatUser(user);
+};
+
+/**
+ * Marcar una cuenta como verificada sin el código por email
+ * @param {object} admin - req.user del admin
+ * @param {string} userId - ID del usuario
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - Usuario actualizado
+ */
+const verifyUser = async (admin, userId, context = {}) => {
+  const user = await getUser(userId);
+
+  if (user.verificado) {
+    throw createError(409, 'La cuenta ya está verificada');
+  }
+
+  user.verificado = true;
+  user.fecha_verificacion = new Date();
+  user.emailVerificationCode = undefined;
+  user.emailVerificationExpires = undefined;
+  if (user.accountStatus === 'pending_verification') {
+    user.accountStatus = 'active';
+  }
+  await user.save();
+
+  await notify({
+    destinatario: user._id,
+    emisor: admin.id,
+    tipo: 'verificacion_cuenta',
+    titulo: 'Cuenta verificada',
+    mensaje: 'Un administrador verificó tu cuenta',
+    referencia: { tipo: 'user', id: user._id, tipo_modelo: 'User' }
+  });
+
+  logAction('ADMIN_USER_VERIFY', admin.email, `Usuario: ${user.email}`, auditContext(admin, user, context));
+
+  return formatUser(user);
+};
+
+/**
+ * Cambiar el rol de un usuario
+ * @param {object} admin - req.user del admin
+ * @param {string} userId - ID del usuario
+ * @param {string} role - 'student' | 'professor' | 'admin'
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - Usuario actualizado
+ */
+const changeRole = async (admin, userId, role, context = {}) => {
+  const user = await getUser(userId);
+  assertNotSelf(admin, user, 'No puedes cambiar tu propio rol');
+
+  if (user.role === role) {
+    throw createError(409, `El usuario ya tiene el rol ${role}`);
+  }
+
+  const anterior = user.role;
+  user.role = role;
+  await user.save();
+
+  await notify({
+    destinatario: user._id,
+    emisor: admin.id,
+    tipo: 'sistema',
+    titulo: 'Rol actualizado',
+    mensaje: `Un administrador cambió tu rol a ${role}`,
+    referencia: { tipo: 'user', id: user._id, tipo_modelo: 'User' },
+    datos_extra: { rol_anterior: anterior, rol: role }
+  });
+
+  logAction('ADMIN_USER_ROLE', admin.email, `Usuario: ${user.email} - Rol: ${anterior} -> ${role}`,
+    auditContext(admin, user, context, { rol_anterior: anterior, rol: role }));
+
+  return formatUser(user);
+};
+
+module.exports = {
+  ROLES,
+  ESTADOS_CUENTA,
+  listUsers,
+  suspendUser,
+  unsuspendUser,
+  unlockUser,
+  verifyUser,
+  changeRole
+};
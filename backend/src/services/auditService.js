@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const AuditLog = require('../models/AuditLog');
+const { createError } = require('../utils/helpers');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Servicio de consulta del registro de auditoría (solo lectura)
+ */
+
+// Máximo de filas por exportación CSV
+const MAX_EXPORT = 50000;
+
+const CSV_COLUMNS = ['fecha', 'action', 'actor', 'actorEmail', 'targetType', 'targetId', 'ip', 'userAgent', 'details', 'metadata'];
+
+/**
+ * Convertir una fecha de la query o lanzar 400
+ */
+const parseDate = (value, campo) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw createError(400, `La fecha '${campo}' no es válida`);
+  }
+  return date;
+};
+
+/**
+ * Construir el filtro de Mongo a partir de la query
+ * `action` acepta varias acciones separadas por comas y prefijos terminados en * (p. ej. AUTH_*)
+ * @param {object} query - { action, actor, actorEmail, targetType, targetId, ip, from, to }
+ * @returns {object} - Filtro para AuditLog
+ */
+const buildFilters = ({ action, actor, actorEmail, targetType, targetId, ip, from, to } = {}) => {
+  const filters = {};
+
+  if (action) {
+    const acciones = String(action).split(',').map(a => a.trim().toUpperCase()).filter(Boolean);
+    const exactas = acciones.filter(a => !a.endsWith('*'));
+    const prefijos = acciones.filter(a => a.endsWith('*')).map(a => new RegExp(`^${a.slice(0, -1).replace(/[^A-Z0-9_]/g, '')}`));
+
+    filters.action = { $in: [...exactas, ...prefijos] };
+  }
+
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      throw createError(400, 'ID de actor no válido');
+    }
+    filters.actor = actor;
+  }
+
+  if (actorEmail) filters.actorEmail = String(actorEmail).toLowerCase().trim();
+  if (targetType) filters['target.type'] = targetType;
+
+  if (targetId) {
+    if (!mongoose.isValidObjectId(targetId)) {
+      throw createError(400, 'ID de objetivo no válido');
+    }
+    filters['target.id'] = targetId;
+  }
+
+  if (ip) filters.ip = ip;
+
+  if (from || to) {
+    filters.createdAt = {};
+    if (from) filters.createdAt.$gte = parseDate(from, 'from');
+    if (to) filters.createdAt.$lte = parseDate(to, 'to');
+  }
+
+  return filters;
+};
+
+/**
+ * Listar entradas de auditoría, de la más reciente a la más antigua
+ * @param {object} query - Filtros (ver buildFilters)
+ * @param {object} options - { cursor (decodificado), limit }
+ * @returns {Promise<object>} - { logs, pagination }
+ */
+const listLogs = async (query, { cursor = null, limit = 50 } = {}) => {
+  const { items, pagination } = await paginate(AuditLog, buildFilters(query), {
+    sortField: 'createdAt',
+    order: -1,
+    cursor,
+    limit,
+    build: (q) => q.populate('actor', 'name email role').lean()
+  });
+
+  return { logs: items, pagination };
+};
+
+/**
+ * Escapar un valor para CSV
+ * Los valores que empiezan con =, +, - o @ se prefijan para que una planilla no los ejecute como fórmula
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Fila CSV de una entrada de auditoría
+ */
+const toCsvRow = (log) => [
+  log.createdAt,
+  log.action,
+  log.actor,
+  log.actorEmail,
+  log.target?.type,
+  log.target?.id,
+  log.ip,
+  log.userAgent,
+  log.details,
+  log.metadata && Object.keys(log.metadata).length > 0 ? JSON.stringify(log.metadata) : ''
+].map(csvValue).join(',');
+
+/**
+ * Escribir en un stream las entradas filtradas en formato CSV (hasta MAX_EXPORT filas)
+ * Usa pipeline: respeta la contrapresión del cliente, termina el stream de salida al
+ * acabar y, si el cliente corta la descarga, rechaza y cierra el cursor de Mongo
+ * @param {object} query - Filtros (ver buildFilters)
+ * @param {Writable} output - Stream de salida (la respuesta HTTP)
+ * @returns {Promise<number>} - Filas escritas
+ */
+const exportCsv = async (query, output) => {
+  const filters = buildFilters(query);
+  let rows = 0;
+
+  const cursor = AuditLog.find(filters)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_EXPORT)
+    .lean()
+    .cursor();
+
+  const toCsv = new Transform({
+    writableObjectMode: true,
+    transform(log, _encoding, callback) {
+      rows += 1;
+      callback(null, `${toCsvRow(log)}\n`);
+    }
+  });
+  toCsv.push(`${CSV_COLUMNS.join(',')}\n`);
+
+  try {
+    await pipeline(cursor, toCsv, output);
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  return rows;
+};
+
+module.exports = {
+  MAX_EXPORT,
+  buildFilters,
+  listLogs,
+  exportCsv
+};
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { notify } = require('./notificationService');
+const { createError } = require('../utils/helpers');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Servicio de comentarios
+ * Los comentarios viven en la colección Comment (hilos con parent_id).
+ * Post.comentarios_count y Comment.respuestas_count cuentan los visibles (no
+ * eliminados ni ocultos por moderación) y se actualizan con $inc en cada cambio.
+ */
+
+const AUTOR_FIELDS = 'name foto_perfil verificado';
+
+/**
+ * Validar un ObjectId o lanzar 400
+ */
+const assertObjectId = (id, message) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw createError(400, message);
+  }
+};
+
+/**
+ * Obtener un post activo o lanzar 400/404
+ * Un post oculto por moderación no está disponible (salvo `allowModerated`, para admins)
+ * @param {string} postId - ID del post
+ * @param {object} options - { allowModerated }
+ * @returns {Promise<object>} - Post (lean) con autor
+ */
+const getActivePost = async (postId, { allowModerated = false } = {}) => {
+  assertObjectId(postId, 'ID de post no válido');
+
+  const post = await Post.findById(postId).select('autor activo moderado').lean();
+  if (!post) {
+    throw createError(404, 'Post no encontrado');
+  }
+  if (!post.activo || (post.moderado && !allowModerated)) {
+    throw createError(404, 'Post no disponible');
+  }
+
+  return post;
+};
+
+/**
+ * Obtener un comentario visible de un post o lanzar 400/404
+ * @param {string} postId - ID del post
+ * @param {string} commentId - ID del comentario
+ * @returns {Promise<Comment>}
+ */
+const getComment = async (postId, commentId) => {
+  assertObjectId(commentId, 'ID de comentario no válido');
+
+  const comment = await Comment.findOne({
+    _id: commentId,
+    post_id: postId,
+    eliminado: false,
+    moderado: { $ne: true }
+  });
+  if (!comment) {
+    throw createError(404, 'Comentario no encontrado');
+  }
+
+  return comment;
+};
+
+/**
+ * Indica si el usuario puede eliminar un comentario: su autor, el autor del post o un admin
+ * @param {object} user - req.user
+ * @param {ObjectId} autorId - Autor del comentario
+ * @param {object} post - Post con autor
+ * @returns {boolean}
+ */
+const canDeleteComment = (user, autorId, post) =>
+  String(autorId) === String(user.id) ||
+  String(post.autor) === String(user.id) ||
+  user.role === 'admin';
+
+/**
+ * Agregar permisos del usuario a un comentario (lean) y ocultar datos internos
+ * @param {object} comment - Comentario plano con autor poblado
+ * @param {object} user - req.user
+ * @param {Set<string>} likedIds - Comentarios a los que el usuario dio like
+ * @param {object} post - Post del comentario (con autor)
+ * @returns {object}
+ */
+const formatComment = (comment, user, likedIds, post) => {
+  const autorId = comment.autor?._id || comment.autor;
+  const oculto = comment.eliminado || comment.moderado;
+
+  const formatted = {
+    ...comment,
+    user_liked: likedIds.has(comment._id.toString()),
+    can_edit: !oculto && String(autorId) === String(user.id),
+    can_delete: !oculto && canDeleteComment(user, autorId, post)
+  };
+
+  // Un comentario eliminado u oculto solo se conserva como lugar de sus respuestas
+  if (oculto) {
+    formatted.contenido = null;
+    formatted.autor = null;
+  }
+
+  delete formatted.moderador;
+  delete formatted.razon_moderacion;
+  delete formatted.likes;
+  delete formatted.reportes;
+  delete formatted.reportado;
+
+  return formatted;
+};
+
+/**
+ * IDs de los comentarios (de una página) a los que el usuario dio like
+ */
+const getLikedCommentIds = async (comments, userId) => {
+  if (comments.length === 0) {
+    return new Set();
+  }
+
+  const liked = await Comment.find({
+    _id: { $in: comments.map(comment => comment._id) },
+    'likes.usuario': userId
+  }).select('_id').lean();
+
+  return new Set(liked.map(comment => comment._id.toString()));
+};
+
+/**
+ * Listar comentarios de primer nivel de un post, o las respuestas de un comentario
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {object} options - { parentId, cursor (decodificado), limit }
+ * @returns {Promise<object>} - { comments, pagination }
+ */
+const listComments = async (user, postId, { parentId = null, cursor = null, limit = 20 } = {}) => {
+  const post = await getActivePost(postId, { allowModerated: user.role === 'admin' });
+
+  if (parentId) {
+    assertObjectId(parentId, 'ID de comentario no válido');
+    const parent = await Comment.exists({ _id: parentId, post_id: post._id });
+    if (!parent) {
+      throw createError(404, 'Comentario no encontrado');
+    }
+  }
+
+  const filters = {
+    post_id: post._id,
+    parent_id: parentId ? new mongoose.Types.ObjectId(parentId) : null,
+    $or: [
+      { eliminado: false, moderado: { $ne: true } },
+      { respuestas_count: { $gt: 0 } }
+    ]
+  };
+
+  const { items, pagination } = await paginate(Comment, filters, {
+    sortField: 'fecha_publicacion',
+    order: 1,
+    cursor,
+    limit,
+    build: (query) => query
+      .select('-likes -reportes')
+      .populate('autor', AUTOR_FIELDS)
+      .lean()
+  });
+
+  const likedIds = await getLikedCommentIds(items, user.id);
+
+  return {
+    comments: items.map(comment => formatComment(comment, user, likedIds, post)),
+    pagination
+  };
+};
+
+/**
+ * Comentar un post o responder a un comentario
+ * @param {object} user - req.user de quien comenta
+ * @param {string} postId - ID del post
+ * @param {object} data - { contenido, parentId }
+ * @returns {Promise<object>} - { comment, totalComments }
+ */
+const createComment = async (user, postId, { contenido, parentId = null }) => {
+  const post = await getActivePost(postId);
+
+  let parent = null;
+  if (parentId) {
+    parent = await getComment(post._id, parentId);
+    if (parent.profundidad >= Comment.MAX_PROFUNDIDAD) {
+      throw createError(400, 'No se puede responder a este comentario: el hilo alcanzó la profundidad máxima');
+    }
+  }
+
+  const comment = await Comment.create({
+    post_id: post._id,
+    parent_id: parent ? parent._id : null,
+    profundidad: parent ? parent.profundidad + 1 : 0,
+    autor: user.id,
+    contenido
+  });
+
+  const [updatedPost] = await Promise.all([
+    Post.findByIdAndUpdate(post._id, { $inc: Post.commentCountInc(1) }, {
+      new: true,
+      projection: { comentarios_count: 1 }
+    }).lean(),
+    parent && Comment.updateOne({ _id: parent._id }, { $inc: { respuestas_count: 1 } })
+  ]);
+
+  const resumen = comment.contenido.substring(0, 100);
+  const datos_extra = { comentario_id: comment._id };
+
+  if (parent) {
+    await notify({
+      destinatario: parent.autor,
+      emisor: user.id,
+      tipo: 'respuesta_comentario',
+      titulo: 'Nueva respuesta',
+      mensaje: `${user.name} respondió tu comentario: ${resumen}`,
+      referencia: { tipo: 'post', id: post._id, tipo_modelo: 'Post' },
+      datos_extra: { ...datos_extra, parent_id: parent._id }
+    });
+  }
+
+  // Si el autor del post es el mismo del comentario respondido ya fue notificado
+  if (!parent || parent.autor.toString() !== post.autor.toString()) {
+    await notify({
+      destinatario: post.autor,
+      emisor: user.id,
+      tipo: 'comentario_post',
+      titulo: 'Nuevo comentario',
+      mensaje: `${user.name} comentó tu publicación: ${resumen}`,
+      referencia: { tipo: 'post', id: post._id, tipo_modelo: 'Post' },
+      datos_extra
+    });
+  }
+
+  await comment.populate('autor', AUTOR_FIELDS);
+
+  return {
+    comment: formatComment(comment.toObject(), user, new Set(), post),
+    totalComments: updatedPost?.comentarios_count || 0
+  };
+};
+
+/**
+ * Editar un comentario (solo su autor)
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {string} commentId - ID del comentario
+ * @param {string} contenido - Nuevo contenido
+ * @returns {Promise<object>} - Comentario actualizado
+ */
+const updateComment = async (user, postId, commentId, contenido) => {
+  const post = await getActivePost(postId);
+  const comment = await getComment(post._id, commentId);
+
+  if (comment.autor.toString() !== user.id.toString()) {
+    throw createError(403, 'No tienes permisos para editar este comentario');
+  }
+
+  comment.contenido = contenido;
+  await comment.save();
+  await comment.populate('autor', AUTOR_FIELDS);
+
+  const likedIds = await getLikedCommentIds([comment], user.id);
+  return formatComment(comment.toObject(), user, likedIds, post);
+};
+
+/**
+ * Eliminar un comentario (su autor, el autor del post o un admin)
+ * Es un borrado lógico: las respuestas siguen visibles bajo un comentario vacío.
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {string} commentId - ID del comentario
+ * @returns {Promise<object>} - { totalComments }
+ */
+const deleteComment = async (user, postId, commentId) => {
+  const post = await getActivePost(postId, { allowModerated: user.role === 'admin' });
+  const comment = await getComment(post._id, commentId);
+
+  if (!canDeleteComment(user, comment.autor, post)) {
+    throw createError(403, 'No tienes permisos para eliminar este comentario');
+  }
+
+  // Transición atómica: solo una petición concurrente descuenta de los contadores
+  const deleted = await Comment.findOneAndUpdate(
+    { _id: comment._id, eliminado: false, moderado: { $ne: true } },
+    { eliminado: true, fecha_eliminacion: new Date() }
+  );
+
+  if (!deleted) {
+    throw createError(404, 'Comentario no encontrado');
+  }
+
+  const [updatedPost] = await Promise.all([
+    Post.findByIdAndUpdate(post._id, { $inc: Post.commentCountInc(-1) }, {
+      new: true,
+      projection: { comentarios_count: 1 }
+    }).lean(),
+    deleted.parent_id && Comment.updateOne({ _id: deleted.parent_id }, { $inc: { respuestas_count: -1 } })
+  ]);
+
+  return { totalComments: updatedPost?.comentarios_count || 0 };
+};
+
+/**
+ * Dar o quitar like a un comentario
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {string} commentId - ID del comentario
+ * @returns {Promise<object>} - { action: 'added'|'removed', total }
+ */
+const toggleCommentLike = async (user, postId, commentId) => {
+  const post = await getActivePost(postId);
+  const comment = await getComment(post._id, commentId);
+
+  return Comment.toggleLike(comment._id, user.id);
+};
+
+module.exports = {
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  toggleCommentLike
+};
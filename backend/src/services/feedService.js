@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const FeedSnapshot = require('../models/FeedSnapshot');
+const { createError } = require('../utils/helpers');
+
+/**
+ * Feed personalizado de publicaciones
+ * Candidatos: autores con los que el usuario interactuó (likes, comentarios,
+ * chats compartidos o seguidos), su carrera y facultad, y los posts destacados.
+ * Ranking: engagement_score con decaimiento temporal (estilo "gravity"):
+ *
+ *   score = (engagement_score + 1) * afinidad / (horas + 2) ^ GRAVEDAD
+ *
+ * La primera página rankea y guarda el orden en un FeedSnapshot; las siguientes
+ * paginan sobre ese orden congelado.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Solo se rankean publicaciones recientes
+const VENTANA_FEED = 30 * DAY;
+// Ventana para detectar interacciones del usuario
+const VENTANA_INTERACCIONES = 90 * DAY;
+
+const GRAVEDAD = 1.5;
+
+// Publicaciones más recientes que se consideran antes de cruzar con los autores
+const MAX_CANDIDATOS = 1000;
+// Publicaciones que guarda el ranking congelado
+const MAX_RANKING = 500;
+// Vigencia del ranking congelado
+const FEED_SNAPSHOT_TTL = 30 * 60 * 1000;
+
+// Bonos de afinidad (se suman a 1)
+const AFINIDAD = {
+  relacionado: 1.5,
+  carrera: 0.75,
+  facultad: 0.25,
+  destacado: 1
+};
+
+// Límites para acotar el conjunto de autores relacionados
+const MAX_POSTS_INTERACCION = 500;
+const MAX_CHATS = 200;
+const MAX_PARTICIPANTES_CHAT = 50;
+const MAX_SEGUIDOS = 1000;
+
+const AUTOR_FIELDS = 'name foto_perfil carrera campus verificado';
+
+/**
+ * Codificar el cursor del feed: snapshot del ranking y posición en él
+ */
+const encodeFeedCursor = ({ snapshot, offset }) =>
+  Buffer.from(JSON.stringify({ s: snapshot.toString(), o: offset })).toString('base64url');
+
+/**
+ * Decodificar el cursor del feed; retorna null si no es válido
+ */
+const decodeFeedCursor = (cursor) => {
+  try {
+    const { s, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(s) || !Number.isInteger(o) || o < 0) {
+      return null;
+    }
+    return { snapshot: new mongoose.Types.ObjectId(s), offset: o };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Autores con los que el usuario tiene relación
+ * @param {ObjectId} userId - ID del usuario
+ * @param {Date} now - Hora de referencia
+ * @returns {Promise<ObjectId[]>}
+ */
+const getRelatedAuthors = async (userId, now) => {
+  const desde = new Date(now.getTime() - VENTANA_INTERACCIONES);
+
+  const [likes, comentarios, chats, seguidos] = await Promise.all([
+    Post.find({ fecha_publicacion: { $gte: desde }, 'likes.usuario': userId })
+      .select('autor')
+      .sort({ fecha_publicacion: -1 })
+      .limit(MAX_POSTS_INTERACCION)
+      .lean(),
+
+    Comment.find({ autor: userId, fecha_publicacion: { $gte: desde } })
+      .select('post_id')
+      .sort({ fecha_publicacion: -1 })
+      .limit(MAX_POSTS_INTERACCION)
+      .lean(),
+
+    // Los canales y grupos masivos no indican cercanía
+    Chat.find({
+      activo: true,
+      tipo: { $ne: 'canal' },
+      participantes: { $elemMatch: { usuario: userId, activo: true } },
+      [`participantes.${MAX_PARTICIPANTES_CHAT}`]: { $exists: false }
+    })
+      .select('participantes.usuario participantes.activo')
+      .sort({ fecha_actualizacion: -1 })
+      .limit(MAX_CHATS)
+      .lean(),
+
+    Follow.find({ seguidor: userId, estado: 'aceptado' })
+      .select('seguido')
+      .limit(MAX_SEGUIDOS)
+      .lean()
+  ]);
+
+  // Autores de los posts comentados
+  const comentados = await Post.find({ _id: { $in: comentarios.map(comment => comment.post_id) } })
+    .select('autor')
+    .lean();
+
+  const autores = new Set();
+
+  [...likes, ...comentados].forEach(post => autores.add(post.autor.toString()));
+  chats.forEach(chat => chat.participantes
+    .filter(p => p.activo)
+    .forEach(p => autores.add(p.usuario.toString())));
+  seguidos.forEach(follow => autores.add(follow.seguido.toString()));
+
+  autores.delete(userId.toString());
+
+  return [...autores].map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Rankear el feed de un usuario
+ * Acota los candidatos a los MAX_CANDIDATOS más recientes antes de cruzar con los autores
+ * @param {object} viewer - Usuario (lean) con carrera, facultad y campus
+ * @param {Date} now - Hora de referencia
+ * @returns {Promise<object[]>} - [{ _id, feed_score, engagement_score }] (hasta MAX_RANKING)
+ */
+const rankFeed = async (viewer, now) => {
+  const relacionados = await getRelatedAuthors(viewer._id, now);
+
+  const esRelacionado = { $in: ['$autor', relacionados] };
+  const mismaCarrera = {
+    $or: [
+      { $eq: ['$carrera_especifica', viewer.carrera] },
+      { $eq: ['$autor_info.carrera', viewer.carrera] }
+    ]
+  };
+  // 'No determinada' es el valor por defecto del schema, no una facultad real
+  const facultad = viewer.facultad && viewer.facultad !== 'No determinada' ? viewer.facultad : null;
+  const mismaFacultad = facultad ? { $eq: ['$autor_info.facultad', facultad] } : false;
+
+  const bono = (condicion, valor) => ({ $cond: [condicion, valor, 0] });
+
+  return Post.aggregate([
+    {
+      $match: {
+        activo: true,
+        moderado: false,
+        fecha_publicacion: {
+          $gte: new Date(now.getTime() - VENTANA_FEED),
+          $lte: now
+        },
+        campus_especifico: { $in: [viewer.campus, 'todos'] },
+        carrera_especifica: { $in: [viewer.carrera, null] }
+      }
+    },
+    { $sort: { fecha_publicacion: -1 } },
+    { $limit: MAX_CANDIDATOS },
+    // Solo los campos del ranking (se usan los contadores, no los arreglos)
+    {
+      $project: {
+        autor: 1,
+        carrera_especifica: 1,
+        destacado: 1,
+        likes_count: 1,
+        comentarios_count: 1,
+        visualizaciones: 1,
+        compartido: 1,
+        fecha_publicacion: 1
+      }
+    },
+    {
+      $lookup: {
+        from: User.collection.collectionName,
+        localField: 'autor',
+        foreignField: '_id',
+        pipeline: [{ $project: { carrera: 1, facultad: 1 } }],
+        as: 'autor_info'
+      }
+    },
+    { $unwind: '$autor_info' },
+    {
+      $match: {
+        $or: [
+          { autor: { $in: relacionados } },
+          { carrera_especifica: viewer.carrera },
+          { 'autor_info.carrera': viewer.carrera },
+          ...(facultad ? [{ 'autor_info.facultad': facultad }] : []),
+          { destacado: true }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        // Mismo cálculo que el virtual engagement_score de Post
+        engagement_score: {
+          $add: [
+            { $multiply: [{ $ifNull: ['$likes_count', 0] }, 2] },
+            { $multiply: [{ $ifNull: ['$comentarios_count', 0] }, 3] },
+            { $multiply: [{ $ifNull: ['$visualizaciones', 0] }, 0.1] },
+            { $multiply: [{ $ifNull: ['$compartido', 0] }, 4] }
+          ]
+        },
+        afinidad: {
+          $add: [
+            1,
+            bono(esRelacionado, AFINIDAD.relacionado),
+            bono(mismaCarrera, AFINIDAD.carrera),
+            bono(mismaFacultad, AFINIDAD.facultad),
+            bono('$destacado', AFINIDAD.destacado)
+          ]
+        },
+        horas: { $divide: [{ $subtract: [now, '$fecha_publicacion'] }, HOUR] }
+      }
+    },
+    {
+      $addFields: {
+        feed_score: {
+          $divide: [
+            { $multiply: [{ $add: ['$engagement_score', 1] }, '$afinidad'] },
+            { $pow: [{ $add: ['$horas', 2] }, GRAVEDAD] }
+          ]
+        }
+      }
+    },
+    { $sort: { feed_score: -1, _id: -1 } },
+    { $limit: MAX_RANKING },
+    { $project: { feed_score: 1, engagement_score: 1 } }
+  ]);
+};
+
+/**
+ * Obtener una página del feed personalizado
+ * Sin cursor rankea y congela el orden; con cursor lee la página del snapshot
+ * @param {string} userId - ID del usuario
+ * @param {object} options - { cursor (decodificado), limit }
+ * @returns {Promise<object>} - { posts, hasMore, nextCursor }
+ */
+const getFeed = async (userId, { cursor = null, limit = 20 } = {}) => {
+  let snapshot;
+
+  if (cursor) {
+    snapshot = await FeedSnapshot.findOne({ _id: cursor.snapshot, usuario: userId }).lean();
+    if (!snapshot) {
+      throw createError(410, 'El feed expiró, vuelve a cargarlo desde el inicio');
+    }
+  } else {
+    const viewer = await User.findById(userId).select('carrera facultad campus').lean();
+    if (!viewer) {
+      throw createError(404, 'Usuario no encontrado');
+    }
+
+    const now = new Date();
+    const ranking = await rankFeed(viewer, now);
+
+    snapshot = await FeedSnapshot.create({
+      usuario: viewer._id,
+      generado: now,
+      items: ranking.map(item => ({
+        post: item._id,
+        feed_score: item.feed_score,
+        engagement_score: item.engagement_score
+      })),
+      expira: new Date(now.getTime() + FEED_SNAPSHOT_TTL)
+    });
+  }
+
+  const offset = cursor ? cursor.offset : 0;
+  const items = snapshot.items.slice(offset, offset + limit);
+
+  // Las publicaciones eliminadas u ocultas después del ranking se omiten
+  const posts = await Post.find({
+    _id: { $in: items.map(item => item.post) },
+    activo: true,
+    moderado: false
+  })
+    .select('-likes -comentarios -reportes')
+    .populate('autor', AUTOR_FIELDS)
+    .lean();
+
+  const byId = new Map(posts.filter(post => post.autor).map(post => [post._id.toString(), post]));
+  const page = items
+    .filter(item => byId.has(item.post.toString()))
+    .map(item => ({
+      ...byId.get(item.post.toString()),
+      feed_score: item.feed_score,
+      engagement_score: item.engagement_score
+    }));
+
+  const hasMore = offset + limit < snapshot.items.length;
+
+  return {
+    posts: page,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeFeedCursor({ snapshot: snapshot._id, offset: offset + limit })
+      : null
+  };
+};
+
+module.exports = {
+  decodeFeedCursor,
+  getFeed
+};
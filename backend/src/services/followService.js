@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const { notify } = require('./notificationService');
+const { createError } = require('../utils/helpers');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Servicio de seguidores
+ * Las relaciones viven en la colección Follow; User.contadores guarda los totales
+ * de relaciones aceptadas y se actualiza con $inc en cada transición.
+ */
+
+const USER_PUBLIC_FIELDS = 'name foto_perfil carrera campus verificado';
+
+/**
+ * Indica si el perfil requiere aprobar las solicitudes de seguimiento
+ * @param {object} user - Usuario con configuracion.privacidad
+ * @returns {boolean}
+ */
+const requiresApproval = (user) => user.configuracion?.privacidad?.perfil_publico === false;
+
+/**
+ * Sumar (o restar) a los contadores de una relación aceptada
+ * @param {ObjectId|string} seguidorId - Quien sigue
+ * @param {ObjectId|string} seguidoId - A quien sigue
+ * @param {number} delta - 1 al aceptar, -1 al eliminar
+ */
+const updateCounters = async (seguidorId, seguidoId, delta) => {
+  await Promise.all([
+    User.updateOne({ _id: seguidorId }, { $inc: { 'contadores.siguiendo': delta } }),
+    User.updateOne({ _id: seguidoId }, { $inc: { 'contadores.seguidores': delta } })
+  ]);
+};
+
+/**
+ * Obtener un usuario activo por id o lanzar 400/404
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<object>} - Usuario (lean)
+ */
+const getActiveUser = async (userId) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw createError(400, 'ID de usuario no válido');
+  }
+
+  const user = await User.findOne({ _id: userId, activo: true })
+    .select('name configuracion.privacidad')
+    .lean();
+
+  if (!user) {
+    throw createError(404, 'Usuario no encontrado');
+  }
+
+  return user;
+};
+
+/**
+ * Seguir a un usuario (o enviar solicitud si su perfil es privado)
+ * @param {object} seguidor - req.user de quien sigue
+ * @param {string} seguidoId - ID del usuario a seguir
+ * @returns {Promise<object>} - Relación creada
+ */
+const followUser = async (seguidor, seguidoId) => {
+  if (seguidor.id.toString() === String(seguidoId)) {
+    throw createError(400, 'No puedes seguirte a ti mismo');
+  }
+
+  const seguido = await getActiveUser(seguidoId);
+  const estado = requiresApproval(seguido) ? 'pendiente' : 'aceptado';
+
+  let follow;
+  try {
+    follow = await Follow.create({
+      seguidor: seguidor.id,
+      seguido: seguido._id,
+      estado,
+      fecha_aceptacion: estado === 'aceptado' ? new Date() : null
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const existente = await Follow.obtenerRelacion(seguidor.id, seguido._id);
+      throw createError(409, existente?.estado === 'pendiente'
+        ? 'Ya enviaste una solicitud a este usuario'
+        : 'Ya sigues a este usuario');
+    }
+    throw error;
+  }
+
+  if (estado === 'aceptado') {
+    await updateCounters(seguidor.id, seguido._id, 1);
+  }
+
+  await notify({
+    destinatario: seguido._id,
+    emisor: seguidor.id,
+    tipo: 'nuevo_seguidor',
+    titulo: estado === 'aceptado' ? 'Nuevo seguidor' : 'Nueva solicitud de seguimiento',
+    mensaje: estado === 'aceptado'
+      ? `${seguidor.name} comenzó a seguirte`
+      : `${seguidor.name} quiere seguirte`,
+    referencia: { tipo: 'user', id: seguidor.id, tipo_modelo: 'User' },
+    datos_extra: { estado }
+  });
+
+  return follow;
+};
+
+/**
+ * Dejar de seguir a un usuario o cancelar una solicitud pendiente
+ * @param {string} seguidorId - ID de quien sigue
+ * @param {string} seguidoId - ID del usuario seguido
+ * @returns {Promise<object>} - Relación eliminada
+ */
+const unfollowUser = async (seguidorId, seguidoId) => {
+  if (!mongoose.isValidObjectId(seguidoId)) {
+    throw createError(400, 'ID de usuario no válido');
+  }
+
+  const follow = await Follow.findOneAndDelete({ seguidor: seguidorId, seguido: seguidoId });
+  if (!follow) {
+    throw createError(404, 'No sigues a este usuario');
+  }
+
+  if (follow.estado === 'aceptado') {
+    await updateCounters(seguidorId, seguidoId, -1);
+  }
+
+  return follow;
+};
+
+/**
+ * Aceptar una solicitud de seguimiento pendiente
+ * @param {object} seguido - req.user de quien aprueba
+ * @param {string} seguidorId - ID de quien pidió seguir
+ * @returns {Promise<object>} - Relación aceptada
+ */
+const acceptFollowRequest = async (seguido, seguidorId) => {
+  if (!mongoose.isValidObjectId(seguidorId)) {
+    throw createError(400, 'ID de usuario no válido');
+  }
+
+  // Transición atómica: solo una petición concurrente suma a los contadores
+  const follow = await Follow.findOneAndUpdate(
+    { seguidor: seguidorId, seguido: seguido.id, estado: 'pendiente' },
+    { estado: 'aceptado', fecha_aceptacion: new Date() },
+    { new: true }
+  );
+
+  if (!follow) {
+    throw createError(404, 'Solicitud de seguimiento no encontrada');
+  }
+
+  await updateCounters(seguidorId, seguido.id, 1);
+
+  return follow;
+};
+
+/**
+ * Rechazar una solicitud de seguimiento pendiente
+ * @param {string} seguidoId - ID de quien rechaza
+ * @param {string} seguidorId - ID de quien pidió seguir
+ * @returns {Promise<object>} - Relación eliminada
+ */
+const rejectFollowRequest = async (seguidoId, seguidorId) => {
+  if (!mongoose.isValidObjectId(seguidorId)) {
+    throw createError(400, 'ID de usuario no válido');
+  }
+
+  const follow = await Follow.findOneAndDelete({
+    seguidor: seguidorId,
+    seguido: seguidoId,
+    estado: 'pendiente'
+  });
+
+  if (!follow) {
+    throw createError(404, 'Solicitud de seguimiento no encontrada');
+  }
+
+  return follow;
+};
+
+/**
+ * Aceptar todas las solicitudes pendientes (al volver el perfil público)
+ * @param {string} seguidoId - ID del usuario
+ * @returns {Promise<number>} - Solicitudes aceptadas
+ */
+const acceptAllFollowRequests = async (seguidoId) => {
+  const pendientes = await Follow.find({ seguido: seguidoId, estado: 'pendiente' })
+    .select('seguidor')
+    .lean();
+
+  if (pendientes.length === 0) {
+    return 0;
+  }
+
+  // Transición por documento: solo cuentan las solicitudes que seguían pendientes
+  // (una cancelada o aceptada en paralelo no suma a los contadores)
+  const fecha = new Date();
+  const aceptadas = await Promise.all(pendientes.map(follow => Follow.findOneAndUpdate(
+    { _id: follow._id, estado: 'pendiente' },
+    { estado: 'aceptado', fecha_aceptacion: fecha },
+    { projection: { seguidor: 1 } }
+  ).lean()));
+
+  const seguidores = aceptadas.filter(Boolean).map(follow => follow.seguidor);
+  if (seguidores.length === 0) {
+    return 0;
+  }
+
+  await Promise.all([
+    User.updateMany({ _id: { $in: seguidores } }, { $inc: { 'contadores.siguiendo': 1 } }),
+    User.updateOne({ _id: seguidoId }, { $inc: { 'contadores.seguidores': seguidores.length } })
+  ]);
+
+  return seguidores.length;
+};
+
+/**
+ * Relación del usuario que consulta con otro usuario
+ * @param {string} viewerId - ID de quien consulta
+ * @param {string} userId - ID del perfil consultado
+ * @returns {Promise<object>} - { siguiendo: 'aceptado'|'pendiente'|null, teSigue: boolean }
+ */
+const getRelationship = async (viewerId, userId) => {
+  if (viewerId.toString() === userId.toString()) {
+    return { siguiendo: null, teSigue: false };
+  }
+
+  const [siguiendo, teSigue] = await Promise.all([
+    Follow.obtenerRelacion(viewerId, userId),
+    Follow.esSeguidor(userId, viewerId)
+  ]);
+
+  return {
+    siguiendo: siguiendo?.estado || null,
+    teSigue
+  };
+};
+
+/**
+ * Listar seguidores o seguidos de un usuario con paginación por cursor
+ * Los perfiles privados solo muestran sus conexiones a sí mismos y a sus seguidores
+ * @param {string} viewerId - ID de quien consulta
+ * @param {string} userId - ID del perfil
+ * @param {object} options - { direccion: 'seguidores'|'siguiendo'|'solicitudes', cursor, limit }
+ * @returns {Promise<object>} - { users, pagination }
+ */
+const listConnections = async (viewerId, userId, { direccion, cursor = null, limit = 20 }) => {
+  const user = await getActiveUser(userId);
+  const esPropio = viewerId.toString() === user._id.toString();
+
+  if (direccion === 'solicitudes' && !esPropio) {
+    throw createError(403, 'No puedes ver las solicitudes de otro usuario');
+  }
+
+  if (!esPropio && requiresApproval(user) && !(await Follow.esSeguidor(viewerId, user._id))) {
+    throw createError(403, 'Este perfil es privado');
+  }
+
+  const campoPropio = direccion === 'siguiendo' ? 'seguidor' : 'seguido';
+  const campoOtro = direccion === 'siguiendo' ? 'seguido' : 'seguidor';
+
+  const filters = {
+    [campoPropio]: user._id,
+    estado: direccion === 'solicitudes' ? 'pendiente' : 'aceptado'
+  };
+
+  const { items: follows, pagination } = await paginate(Follow, filters, {
+    sortField: 'fecha_creacion',
+    order: -1,
+    cursor,
+    limit,
+    build: (query) => query.populate(campoOtro, USER_PUBLIC_FIELDS).lean()
+  });
+
+  return {
+    users: follows
+      .filter(follow => follow[campoOtro])
+      .map(follow => ({
+        ...follow[campoOtro],
+        fecha_seguimiento: follow.fecha_aceptacion || follow.fecha_creacion
+      })),
+    pagination
+  };
+};
+
+module.exports = {
+  followUser,
+  unfollowUser,
+  acceptFollowRequest,
+  rejectFollowRequest,
+  acceptAllFollowRequests,
+  getRelationship,
+  listConnections
+};
@@ -0,0 +1,123 @@
+const sharp = require('sharp');
+const { createError } = require('../utils/helpers');
+
+/**
+ * Procesamiento de imágenes subidas
+ * Toda imagen se vuelve a codificar: se aplica la orientación EXIF y se descartan
+ * los metadatos (EXIF, GPS, XMP) para no publicar la ubicación de las fotos.
+ * Además se calculan las dimensiones y se genera un thumbnail de tamaño fijo.
+ */
+
+// Tamaños fijos de salida (px)
+const THUMBNAIL_SIZE = 320;
+const AVATAR_SIZE = 512;
+const AVATAR_THUMBNAIL_SIZE = 128;
+
+// Evita imágenes "bomba" que ocupan poco pero se descomprimen a gigapíxeles
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+const WEBP_OPTIONS = { quality: 82 };
+
+// Codificación de salida según el formato detectado (se conserva el formato original)
+const ENCODERS = {
+  'image/jpeg': (image) => image.jpeg({ quality: 85, mozjpeg: true }),
+  'image/png': (image) => image.png({ compressionLevel: 9 }),
+  'image/webp': (image) => image.webp(WEBP_OPTIONS),
+  'image/gif': (image) => image.gif()
+};
+
+/**
+ * Crear el pipeline de sharp para un buffer
+ * @param {Buffer} buffer - Imagen original
+ * @param {object} options - { animated } para conservar todos los frames de un GIF/WEBP
+ * @returns {sharp.Sharp}
+ */
+const load = (buffer, { animated = false } = {}) => sharp(buffer, {
+  animated,
+  limitInputPixels: MAX_INPUT_PIXELS
+});
+
+/**
+ * Generar un thumbnail webp a partir de la imagen ya procesada
+ * @param {Buffer} buffer - Imagen procesada
+ * @param {number} size - Lado de la caja (px)
+ * @param {string} fit - 'inside' (sin recorte) o 'cover' (cuadrado recortado)
+ * @returns {Promise<object>} - { buffer, mime, ext, dimensiones }
+ */
+const createThumbnail = async (buffer, size, fit = 'inside') => {
+  const { data, info } = await load(buffer)
+    .resize(size, size, { fit, withoutEnlargement: fit === 'inside' })
+    .webp(WEBP_OPTIONS)
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    mime: 'image/webp',
+    ext: 'webp',
+    dimensiones: { ancho: info.width, alto: info.height }
+  };
+};
+
+/**
+ * Procesar una imagen subida
+ * - post / mensaje: mismo formato, orientación aplicada, sin metadatos, thumbnail de 320px
+ * - avatar: recorte cuadrado de 512px en webp y thumbnail de 128px
+ * @param {Buffer} buffer - Imagen original
+ * @param {object} fileType - Tipo detectado { mime, ext }
+ * @param {string} proposito - 'post' | 'mensaje' | 'avatar'
+ * @returns {Promise<object>} - { buffer, mime, ext, dimensiones, thumbnail }
+ */
+const processImage = async (buffer, fileType, proposito) => {
+  try {
+    if (proposito === 'avatar') {
+      // Solo el primer frame: la foto de perfil no se anima
+      const { data, info } = await load(buffer)
+        .rotate()
+        .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'attention' })
+        .webp(WEBP_OPTIONS)
+        .toBuffer({ resolveWithObject: true });
+
+      return {
+        buffer: data,
+        mime: 'image/webp',
+        ext: 'webp',
+        dimensiones: { ancho: info.width, alto: info.height },
+        thumbnail: await createThumbnail(data, AVATAR_THUMBNAIL_SIZE, 'cover')
+      };
+    }
+
+    const animated = fileType.mime === 'image/gif' || fileType.mime === 'image/webp';
+    const metadata = await load(buffer, { animated }).metadata();
+    const isAnimated = animated && metadata.pages > 1;
+
+    let image = load(buffer, { animated: isAnimated });
+    if (!isAnimated) {
+      image = image.rotate();
+    }
+
+    const { data, info } = await ENCODERS[fileType.mime](image)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      mime: fileType.mime,
+      ext: fileType.ext,
+      dimensiones: {
+        ancho: info.width,
+        // En imágenes animadas sharp apila los frames en vertical
+        alto: isAnimated ? metadata.pageHeight : info.height
+      },
+      thumbnail: await createThumbnail(data, THUMBNAIL_SIZE)
+    };
+  } catch (error) {
+    console.error('Error procesando imagen:', error.message);
+    throw createError(422, 'La imagen está dañada o no se puede procesar');
+  }
+};
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  AVATAR_SIZE,
+  AVATAR_THUMBNAIL_SIZE,
+  processImage
+};
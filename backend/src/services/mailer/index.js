@@ -0,0 +1,104 @@
+const { createSmtpTransport } = require('./transports/smtpTransport');
+const { createOutboxTransport } = require('./transports/outboxTransport');
+const { templates } = require('./templates');
+
+/**
+ * Servicio de envío de emails
+ * El transporte se elige con MAIL_TRANSPORT ('smtp' | 'outbox').
+ * Por defecto se usa SMTP en producción y el outbox JSONL en el resto de entornos.
+ *
+ * Un transporte es cualquier objeto con la forma:
+ *   { name: string, send(message): Promise<{ messageId }> }
+ * donde message = { from, to, subject, text, html, template, data }
+ */
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let currentTransport = null;
+
+/**
+ * Obtener el transporte activo (se crea la primera vez que se usa)
+ * @returns {object} - Transporte de email
+ */
+const getTransport = () => {
+  if (!currentTransport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Transporte de email desconocido: ${name}`);
+    }
+
+    currentTransport = factory();
+  }
+
+  return currentTransport;
+};
+
+/**
+ * Reemplazar el transporte activo (tests o transportes propios)
+ * @param {object|null} transport - Transporte o null para volver a la configuración del entorno
+ */
+const setTransport = (transport) => {
+  currentTransport = transport;
+};
+
+/**
+ * Renderizar una plantilla y enviarla
+ * @param {string} templateName - Nombre de la plantilla en templates.js
+ * @param {string} to - Email del destinatario
+ * @param {object} data - Datos para la plantilla
+ * @returns {Promise<object>} - Resultado del transporte
+ */
+const sendTemplate = async (templateName, to, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Plantilla de email desconocida: ${templateName}`);
+  }
+
+  const { subject, text, html } = template(data);
+
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'UCN Community <no-reply@ucn.cl>',
+    to,
+    subject,
+    text,
+    html,
+    template: templateName,
+    data
+  });
+};
+
+const sendVerificationEmail = (user, code) => {
+  return sendTemplate('verification', user.email, {
+    nombre: user.nombre,
+    code
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendTemplate('passwordReset', user.email, {
+    nombre: user.nombre,
+    token
+  });
+};
+
+const sendNotificationDigest = (user, digest) => {
+  return sendTemplate('notificationDigest', user.email, {
+    nombre: user.nombre,
+    ...digest
+  });
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendTemplate,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendNotificationDigest
+};
@@ -0,0 +1,132 @@
+/**
+ * Plantillas de email en español
+ * Cada plantilla recibe sus datos y retorna { subject, text, html }
+ */
+
+const APP_NAME = 'UCN Community';
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Envolver el contenido en el layout común
+ * @param {string} title - Título visible del email
+ * @param {string} body - HTML del cuerpo (ya escapado)
+ * @returns {string} - Documento HTML
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f4f6f8; margin: 0; padding: 24px;">
+  <div style="max-width: 560px; margin: 0 auto; background: #ffffff; border-radius: 8px; padding: 32px;">
+    <h1 style="color: #00395d; font-size: 22px; margin-top: 0;">${escapeHtml(title)}</h1>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px; margin-top: 32px;">
+      ${APP_NAME} · Universidad Católica del Norte, Campus Coquimbo
+    </p>
+  </div>
+</body>
+</html>`;
+
+const verification = ({ nombre, code, expiresInHours = 24 }) => ({
+  subject: `Tu código de verificación de ${APP_NAME}`,
+  text: [
+    `Hola ${nombre},`,
+    '',
+    `Tu código de verificación es: ${code}`,
+    `El código expira en ${expiresInHours} horas.`,
+    '',
+    'Si no creaste una cuenta, puedes ignorar este correo.'
+  ].join('\n'),
+  html: layout('Verifica tu email', `
+    <p>Hola ${escapeHtml(nombre)},</p>
+    <p>Usa este código para verificar tu cuenta:</p>
+    <p style="font-size: 32px; letter-spacing: 8px; font-weight: bold; color: #00395d;">${escapeHtml(code)}</p>
+    <p>El código expira en ${escapeHtml(expiresInHours)} horas.</p>
+    <p style="color: #6b7280;">Si no creaste una cuenta, puedes ignorar este correo.</p>
+  `)
+});
+
+const passwordReset = ({ nombre, token, expiresInMinutes = 60 }) => {
+  const resetUrl = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: `Restablece tu contraseña de ${APP_NAME}`,
+    text: [
+      `Hola ${nombre},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña.',
+      `Abre este enlace para elegir una nueva: ${resetUrl}`,
+      `El enlace expira en ${expiresInMinutes} minutos y solo puede usarse una vez.`,
+      '',
+      'Si no lo solicitaste, ignora este correo: tu contraseña no cambiará.'
+    ].join('\n'),
+    html: layout('Restablece tu contraseña', `
+      <p>Hola ${escapeHtml(nombre)},</p>
+      <p>Recibimos una solicitud para restablecer tu contraseña.</p>
+      <p>
+        <a href="${escapeHtml(resetUrl)}" style="display: inline-block; background: #00395d; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none;">
+          Elegir nueva contraseña
+        </a>
+      </p>
+      <p>El enlace expira en ${escapeHtml(expiresInMinutes)} minutos y solo puede usarse una vez.</p>
+      <p style="color: #6b7280;">Si no lo solicitaste, ignora este correo: tu contraseña no cambiará.</p>
+    `)
+  };
+};
+
+const notificationDigest = ({ nombre, frecuencia = 'daily', grupos = [], total = 0 }) => {
+  const periodo = frecuencia === 'weekly' ? 'esta semana' : 'hoy';
+  const settingsUrl = `${clientUrl()}/configuracion`;
+
+  const lines = grupos.map(grupo =>
+    `- ${grupo.titulo}${grupo.cantidad > 1 ? ` (${grupo.cantidad})` : ''}: ${grupo.mensaje}`
+  );
+
+  const items = grupos.map(grupo => `
+    <li style="margin-bottom: 12px;">
+      <strong>${escapeHtml(grupo.icono || '🔔')} ${escapeHtml(grupo.titulo)}</strong>
+      ${grupo.cantidad > 1 ? `<span style="color: #6b7280;">(${escapeHtml(grupo.cantidad)})</span>` : ''}
+      <br>${escapeHtml(grupo.mensaje)}
+    </li>
+  `).join('');
+
+  return {
+    subject: `Tienes ${total} notificación${total !== 1 ? 'es' : ''} sin leer en ${APP_NAME}`,
+    text: [
+      `Hola ${nombre},`,
+      '',
+      `Esto es lo que te perdiste ${periodo}:`,
+      ...lines,
+      '',
+      `Ver todo en ${clientUrl()}`,
+      `Cambia la frecuencia de este resumen en ${settingsUrl}`
+    ].join('\n'),
+    html: layout(`Tu resumen de ${APP_NAME}`, `
+      <p>Hola ${escapeHtml(nombre)},</p>
+      <p>Esto es lo que te perdiste ${periodo}:</p>
+      <ul style="padding-left: 20px;">${items}</ul>
+      <p><a href="${escapeHtml(clientUrl())}">Abrir ${APP_NAME}</a></p>
+      <p style="color: #6b7280; font-size: 12px;">
+        Puedes cambiar la frecuencia de este resumen en <a href="${escapeHtml(settingsUrl)}">tu configuración</a>.
+      </p>
+    `)
+  };
+};
+
+const templates = {
+  verification,
+  passwordReset,
+  notificationDigest
+};
+
+module.exports = { templates, escapeHtml };
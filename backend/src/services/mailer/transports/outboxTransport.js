@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '../../../../tmp/mail-outbox.jsonl');
+
+/**
+ * Transporte "outbox" para desarrollo y tests
+ * Escribe cada email como una línea JSON en un archivo en vez de enviarlo.
+ * Configuración: MAIL_OUTBOX_PATH
+ * @param {object} options - { filePath }
+ * @returns {object} - Transporte con la interfaz { name, send(message) } más lectura del outbox
+ */
+const createOutboxTransport = (options = {}) => {
+  const filePath = options.filePath || process.env.MAIL_OUTBOX_PATH || DEFAULT_OUTBOX_PATH;
+
+  /**
+   * Leer los emails del outbox, opcionalmente filtrados
+   * @param {object} filter - { to, template }
+   * @returns {Promise<object[]>} - Emails en orden de envío
+   */
+  const readMessages = async (filter = {}) => {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(message =>
+        (!filter.to || message.to === filter.to.toLowerCase()) &&
+        (!filter.template || message.template === filter.template)
+      );
+  };
+
+  return {
+    name: 'outbox',
+    filePath,
+
+    async send(message) {
+      const entry = {
+        id: crypto.randomUUID(),
+        fecha: new Date().toISOString(),
+        from: message.from,
+        to: message.to.toLowerCase(),
+        subject: message.subject,
+        template: message.template,
+        data: message.data,
+        text: message.text,
+        html: message.html
+      };
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+
+      return { messageId: entry.id, accepted: [entry.to], rejected: [] };
+    },
+
+    readMessages,
+
+    /**
+     * Obtener el último email enviado a un destinatario
+     * @param {string} to - Email del destinatario
+     * @param {string} template - Plantilla opcional
+     * @returns {Promise<object|null>}
+     */
+    async lastMessage(to, template) {
+      const messages = await readMessages({ to, template });
+      return messages.length > 0 ? messages[messages.length - 1] : null;
+    },
+
+    async clear() {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  };
+};
+
+module.exports = { createOutboxTransport, DEFAULT_OUTBOX_PATH };
@@ -0,0 +1,50 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Transporte SMTP (staging y producción)
+ * Configuración: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * @param {object} options - Sobrescribe la configuración tomada del entorno
+ * @returns {object} - Transporte con la interfaz { name, send(message) }
+ */
+const createSmtpTransport = (options = {}) => {
+  const config = {
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT) || 587,
+    secure: options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true',
+    auth: (options.user || process.env.SMTP_USER)
+      ? {
+          user: options.user || process.env.SMTP_USER,
+          pass: options.pass || process.env.SMTP_PASS
+        }
+      : undefined
+  };
+
+  if (!config.host) {
+    throw new Error('SMTP_HOST es requerido para el transporte SMTP');
+  }
+
+  const transporter = nodemailer.createTransport(config);
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        headers: message.template ? { 'X-UCN-Template': message.template } : undefined
+      });
+
+      return {
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected
+      };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,812 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createError } = require('../utils/helpers');
+const { notifyMany } = require('./notificationService');
+const { emitToChat } = require('../sockets/io');
+
+/**
+ * Servicio de mensajes de chat
+ * Camino único para enviar mensajes, compartido por la API REST y Socket.IO.
+ * Los errores se lanzan con `status` HTTP para que cada transporte los traduzca
+ */
+
+// Plazo para editar un mensaje propio (MESSAGE_EDIT_WINDOW_MINUTES, por defecto 15 minutos)
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+/**
+ * Indica si un mensaje todavía puede editarse por su emisor
+ * @param {object} message - Mensaje (documento o lean)
+ * @returns {boolean}
+ */
+const isWithinEditWindow = (message) =>
+  message.tipo_mensaje === 'texto' &&
+  Date.now() - new Date(message.fecha_envio).getTime() < EDIT_WINDOW_MS;
+
+/**
+ * Obtener un chat verificando que el usuario sea participante activo
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Chat>} - Documento del chat
+ */
+const getChatForParticipant = async (chatId, userId) => {
+  if (!mongoose.isValidObjectId(chatId)) {
+    throw createError(400, 'ID de chat no válido');
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw createError(404, 'Chat no encontrado');
+  }
+
+  if (!chat.isUserParticipant(userId)) {
+    throw createError(403, 'No tienes acceso a este chat');
+  }
+
+  return chat;
+};
+
+/**
+ * Obtener un mensaje visible de un chat o lanzar 400/404
+ * @param {Chat} chat - Chat ya verificado
+ * @param {string} messageId - ID del mensaje
+ * @returns {Promise<Message>} - Documento del mensaje
+ */
+const getChatMessage = async (chat, messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw createError(400, 'ID de mensaje no válido');
+  }
+
+  const message = await Message.findOne({
+    _id: messageId,
+    chat_id: chat._id,
+    eliminado: false,
+    moderado: { $ne: true }
+  });
+  if (!message) {
+    throw createError(404, 'Mensaje no encontrado');
+  }
+
+  return message;
+};
+
+/**
+ * Verificar que el usuario pueda escribir en el chat (solo admins o silenciado)
+ * @param {Chat} chat - Chat ya verificado
+ * @param {string} userId - ID del usuario
+ */
+const assertCanWrite = (chat, userId) => {
+  const userRole = chat.getUserRole(userId);
+  if (chat.configuracion?.solo_admins_pueden_escribir && userRole !== 'admin') {
+    throw createError(403, 'Solo los administradores pueden escribir en este chat');
+  }
+
+  const userParticipant = chat.participantes.find(p =>
+    p.usuario.toString() === userId.toString()
+  );
+  if (userParticipant?.silenciado) {
+    throw createError(403, 'Has sido silenciado en este chat');
+  }
+};
+
+/**
+ * Obtener el mensaje al que se responde, que debe ser del mismo chat
+ * @param {Chat} chat - Chat donde se envía la respuesta
+ * @param {string} messageId - ID del mensaje original
+ * @returns {Promise<Message>} - Mensaje original
+ */
+const getReplyTarget = async (chat, messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw createError(400, 'ID de mensaje a responder no válido');
+  }
+
+  const original = await Message.findOne({
+    _id: messageId,
+    eliminado: false,
+    moderado: { $ne: true }
+  });
+  if (!original) {
+    throw createError(404, 'Mensaje a responder no encontrado');
+  }
+
+  if (original.chat_id.toString() !== chat._id.toString()) {
+    throw createError(400, 'Solo puedes responder mensajes del mismo chat');
+  }
+
+  return original;
+};
+
+/**
+ * Crear y persistir un mensaje en un chat
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID del emisor
+ * @param {object} payload - { contenido, tipo_mensaje, reply_to (o respuesta_a), archivo, ubicacion, menciones }
+ * @returns {Promise<{ chat: Chat, message: Message }>} - Mensaje guardado con emisor poblado
+ */
+const sendChatMessage = async (chatId, userId, payload = {}) => {
+  const {
+    contenido,
+    tipo_mensaje = 'texto',
+    reply_to,
+    respuesta_a,
+    archivo,
+    ubicacion,
+    menciones
+  } = payload;
+
+  const chat = await getChatForParticipant(chatId, userId);
+
+  // Verificar permisos para enviar mensajes
+  assertCanWrite(chat, userId);
+
+  // Crear el mensaje
+  const messageData = {
+    chat_id: chat._id,
+    sender_id: userId,
+    tipo_mensaje
+  };
+
+  // Agregar contenido según el tipo
+  if (tipo_mensaje === 'texto') {
+    if (!contenido || typeof contenido !== 'string' || contenido.trim().length === 0) {
+      throw createError(400, 'El contenido es requerido para mensajes de texto');
+    }
+    messageData.contenido = contenido.trim();
+  } else if (tipo_mensaje === 'archivo') {
+    if (!archivo) {
+      throw createError(400, 'Los datos del archivo son requeridos');
+    }
+    messageData.archivo = archivo;
+    messageData.contenido = archivo.nombre_original;
+  } else if (tipo_mensaje === 'ubicacion') {
+    if (!ubicacion) {
+      throw createError(400, 'Los datos de ubicación son requeridos');
+    }
+    messageData.ubicacion = ubicacion;
+    messageData.contenido = ubicacion.nombre_lugar || 'Ubicación compartida';
+  }
+
+  // Agregar respuesta si existe (la vista previa se arma en el servidor)
+  const replyTo = reply_to || respuesta_a;
+  let originalMessage = null;
+  if (replyTo) {
+    originalMessage = await getReplyTarget(chat, replyTo);
+    messageData.respuesta_a = {
+      mensaje_id: originalMessage._id,
+      contenido_preview: (originalMessage.contenido || '').substring(0, 100),
+      autor_original: originalMessage.sender_id
+    };
+  }
+
+  // Menciones: solo a otros participantes activos del chat
+  if (Array.isArray(menciones) && menciones.length > 0) {
+    messageData.menciones = menciones.filter(mencion =>
+      mencion &&
+      mongoose.isValidObjectId(mencion.usuario) &&
+      mencion.usuario.toString() !== userId.toString() &&
+      chat.isUserParticipant(mencion.usuario)
+    );
+  }
+
+  const message = new Message(messageData);
+  await message.save();
+
+  // Actualizar último mensaje del chat
+  await chat.updateLastMessage(message);
+
+  if (originalMessage) {
+    await Message.updateOne(
+      { _id: originalMessage._id },
+      { $inc: { 'estadisticas.total_respuestas': 1 } }
+    );
+  }
+
+  // Poblar datos para respuesta
+  await message.populate([
+    { path: 'sender_id', select: 'name foto_perfil verificado' },
+    { path: 'respuesta_a.autor_original', select: 'name' }
+  ]);
+
+  if (message.menciones.length > 0) {
+    await notifyMany(message.menciones.map(mencion => mencion.usuario), {
+      emisor: userId,
+      tipo: 'mencion',
+      titulo: 'Te mencionaron en un chat',
+      mensaje: `${message.sender_id.name}: ${message.contenido.substring(0, 100)}`,
+      referencia: { tipo: 'message', id: message._id, tipo_modelo: 'Message' },
+      datos_extra: { chat_id: chat._id }
+    });
+  }
+
+  return { chat, message };
+};
+
+/**
+ * Datos del evento `receive_message` para la sala del chat
+ * @param {Message} message - Mensaje con emisor poblado
+ * @param {string} clientId - ID temporal del cliente emisor (opcional)
+ * @returns {object}
+ */
+const toReceivedMessage = (message, clientId) => ({
+  id: message._id.toString(),
+  clientId,
+  message: message.contenido,
+  sender: {
+    id: message.sender_id._id.toString(),
+    name: message.sender_id.name
+  },
+  room: message.chat_id.toString(),
+  timestamp: message.fecha_envio,
+  mensaje: message.toObject()
+});
+
+/**
+ * Reenviar un mensaje (con su archivo o ubicación) a uno o más chats del usuario
+ * El mensaje reenviado apunta al original en `mensaje_original`; al reenviar un reenvío
+ * se conserva el original de la cadena, que es el que suma `total_reenvios`
+ * @param {string} chatId - ID del chat de origen
+ * @param {string} userId - ID de quien reenvía
+ * @param {string} messageId - ID del mensaje a reenviar
+ * @param {string[]} chatIds - IDs de los chats de destino
+ * @returns {Promise<Message[]>} - Mensajes creados, con emisor poblado
+ */
+const forwardMessage = async (chatId, userId, messageId, chatIds = []) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const source = await getChatMessage(chat, messageId);
+
+  const destinos = [...new Set(chatIds.map(id => id.toString()))];
+  if (destinos.length === 0) {
+    throw createError(400, 'Debes indicar al menos un chat de destino');
+  }
+
+  // Verificar todos los destinos antes de crear cualquier mensaje
+  const targets = [];
+  for (const destinoId of destinos) {
+    const target = await getChatForParticipant(destinoId, userId);
+    assertCanWrite(target, userId);
+    targets.push(target);
+  }
+
+  const originalId = source.mensaje_original || source._id;
+  const { contenido, tipo_mensaje, archivo, ubicacion } = source.toObject();
+
+  const forwarded = [];
+  for (const target of targets) {
+    const message = new Message({
+      chat_id: target._id,
+      sender_id: userId,
+      tipo_mensaje,
+      contenido,
+      archivo,
+      ubicacion,
+      reenviado: true,
+      mensaje_original: originalId
+    });
+    await message.save();
+
+    // Contar cada reenvío apenas existe: si falla un destino posterior, los anteriores ya suman
+    await Message.updateOne(
+      { _id: originalId },
+      { $inc: { 'estadisticas.total_reenvios': 1 } }
+    );
+
+    await target.updateLastMessage(message);
+    await message.populate('sender_id', 'name foto_perfil verificado');
+
+    emitToChat(target._id, 'receive_message', toReceivedMessage(message));
+    forwarded.push(message);
+  }
+
+  return forwarded;
+};
+
+/**
+ * Vista previa del último mensaje de un chat (misma forma que Chat.updateLastMessage)
+ */
+const buildLastMessage = (message) => ({
+  mensaje_id: message._id,
+  contenido_preview: (message.contenido || '').substring(0, 100),
+  emisor: message.sender_id?._id || message.sender_id,
+  fecha: message.fecha_envio,
+  tipo: message.tipo_mensaje
+});
+
+/**
+ * Recalcular `ultimo_mensaje` de un chat con su mensaje visible más reciente
+ * (tras eliminar u ocultar el que estaba como último)
+ * @param {ObjectId} chatId - ID del chat
+ * @returns {Promise<object|null>} - Nueva vista previa o null si no quedan mensajes
+ */
+const refreshLastMessage = async (chatId) => {
+  const last = await Message.findOne({
+    chat_id: chatId,
+    eliminado: false,
+    moderado: { $ne: true }
+  })
+    .sort({ fecha_envio: -1, _id: -1 })
+    .select('contenido sender_id fecha_envio tipo_mensaje')
+    .lean();
+
+  const ultimo_mensaje = last ? buildLastMessage(last) : null;
+
+  await Chat.updateOne(
+    { _id: chatId },
+    ultimo_mensaje ? { $set: { ultimo_mensaje } } : { $unset: { ultimo_mensaje: 1 } }
+  );
+
+  return ultimo_mensaje;
+};
+
+/**
+ * Editar un mensaje de texto propio dentro del plazo de edición
+ * Guarda el contenido anterior en `historial_ediciones` y difunde `message_updated`
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID de quien edita
+ * @param {string} messageId - ID del mensaje
+ * @param {string} contenido - Nuevo contenido
+ * @returns {Promise<Message>} - Mensaje actualizado con emisor poblado
+ */
+const editMessage = async (chatId, userId, messageId, contenido) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = await getChatMessage(chat, messageId);
+
+  if (message.sender_id.toString() !== userId.toString()) {
+    throw createError(403, 'Solo puedes editar tus propios mensajes');
+  }
+  if (message.tipo_mensaje !== 'texto') {
+    throw createError(400, 'Solo se pueden editar mensajes de texto');
+  }
+  if (!isWithinEditWindow(message)) {
+    throw createError(403, 'El plazo para editar este mensaje terminó');
+  }
+  if (!contenido || typeof contenido !== 'string' || contenido.trim().length === 0) {
+    throw createError(400, 'El contenido es requerido para mensajes de texto');
+  }
+
+  const nuevoContenido = contenido.trim();
+  if (nuevoContenido !== message.contenido) {
+    await message.edit(nuevoContenido);
+
+    // Mantener la vista previa del chat si era el último mensaje
+    if (chat.ultimo_mensaje?.mensaje_id?.toString() === message._id.toString()) {
+      await Chat.updateOne(
+        { _id: chat._id, 'ultimo_mensaje.mensaje_id': message._id },
+        { $set: { 'ultimo_mensaje.contenido_preview': nuevoContenido.substring(0, 100) } }
+      );
+    }
+
+    emitToChat(chat._id, 'message_updated', {
+      chat_id: chat._id,
+      message_id: message._id,
+      contenido: message.contenido,
+      editado: message.editado,
+      fecha_edicion: message.fecha_edicion
+    });
+  }
+
+  await message.populate('sender_id', 'name foto_perfil verificado');
+  return message;
+};
+
+/**
+ * Eliminar un mensaje (su emisor, o un admin/moderador del chat con permiso)
+ * Difunde `message_deleted` y, si era el último mensaje, recalcula la vista previa del chat
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID de quien elimina
+ * @param {string} messageId - ID del mensaje
+ * @returns {Promise<object>} - { message_id, ultimo_mensaje }
+ */
+const deleteMessage = async (chatId, userId, messageId) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const message = await getChatMessage(chat, messageId);
+
+  const isSender = message.sender_id.toString() === userId.toString();
+  if (!isSender && !chat.canDeleteMessages(userId)) {
+    throw createError(403, 'No tienes permisos para eliminar este mensaje');
+  }
+
+  await message.delete(userId);
+
+  let ultimo_mensaje = chat.ultimo_mensaje?.mensaje_id ? chat.ultimo_mensaje : null;
+  if (chat.ultimo_mensaje?.mensaje_id?.toString() === message._id.toString()) {
+    ultimo_mensaje = await refreshLastMessage(chat._id);
+  }
+
+  const deleted = {
+    chat_id: chat._id,
+    message_id: message._id,
+    eliminado_por: userId,
+    fecha_eliminacion: message.fecha_eliminacion,
+    ultimo_mensaje
+  };
+
+  emitToChat(chat._id, 'message_deleted', deleted);
+
+  return deleted;
+};
+
+/**
+ * Contar las reacciones de un mensaje por emoji
+ * @param {object[]} reacciones - Reacciones del mensaje
+ * @returns {object[]} - [{ emoji, total }] de la más usada a la menos usada
+ */
+const summarizeReactions = (reacciones = []) => {
+  const totales = new Map();
+  reacciones.forEach(({ emoji }) => totales.set(emoji, (totales.get(emoji) || 0) + 1));
+
+  return [...totales]
+    .map(([emoji, total]) => ({ emoji, total }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Reaccionar a un mensaje: agrega, cambia o quita (mismo emoji) la reacción del usuario
+ * y difunde `message_reaction` a la sala del chat con los totales por emoji
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID de quien reacciona
+ * @param {string} messageId - ID del mensaje
+ * @param {string} emoji - Uno de Message.REACCIONES
+ * @returns {Promise<object>} - Evento difundido
+ */
+const reactToMessage = async (chatId, userId, messageId, emoji) => {
+  if (!Message.REACCIONES.includes(emoji)) {
+    throw createError(400, 'Reacción no válida');
+  }
+
+  const chat = await getChatForParticipant(chatId, userId);
+  const target = await getChatMessage(chat, messageId);
+
+  const result = await Message.toggleReaction({
+    _id: target._id,
+    chat_id: chat._id,
+    eliminado: false,
+    moderado: { $ne: true }
+  }, userId, emoji);
+  if (!result) {
+    throw createError(404, 'Mensaje no encontrado');
+  }
+
+  const { action, message } = result;
+  const reaction = {
+    chat_id: chat._id,
+    message_id: message._id,
+    user_id: userId,
+    action,
+    emoji,
+    reacciones: summarizeReactions(message.reacciones),
+    total_reacciones: message.estadisticas.total_reacciones
+  };
+
+  emitToChat(chat._id, 'message_reaction', reaction);
+
+  return reaction;
+};
+
+/**
+ * Comparar dos mensajes por fecha de envío (y _id a igual fecha)
+ * @returns {boolean} - true si `a` es posterior a `b`
+ */
+const isAfter = (a, b) => {
+  const diff = new Date(a.fecha_envio) - new Date(b.fecha_envio);
+  return diff > 0 || (diff === 0 && a._id.toString() > b._id.toString());
+};
+
+/**
+ * Participante activo y el mensaje al que apunta su `ultimo_mensaje_visto`
+ * @param {Chat} chat - Documento del chat
+ * @param {string} userId - ID del participante
+ * @returns {Promise<object>} - { participant, visto } (null si no hay)
+ */
+const getLastSeen = async (chat, userId) => {
+  const participant = chat.participantes.find(p =>
+    p.usuario.toString() === userId.toString() && p.activo
+  ) || null;
+
+  const visto = participant?.ultimo_mensaje_visto
+    ? await Message.findById(participant.ultimo_mensaje_visto).select('fecha_envio').lean()
+    : null;
+
+  return { participant, visto };
+};
+
+/**
+ * Mover `ultimo_mensaje_visto` del participante a un mensaje, sin retroceder
+ * si el mensaje es anterior al que ya tenía (p. ej. al cargar historial antiguo)
+ * @param {Chat} chat - Documento del chat
+ * @param {string} userId - ID del participante
+ * @param {object} message - Mensaje leído (necesita _id y fecha_envio)
+ * @param {object} lastSeen - Resultado de getLastSeen, si ya se consultó
+ * @returns {Promise<boolean>} - true si el puntero avanzó
+ */
+const advanceLastSeen = async (chat, userId, message, lastSeen = null) => {
+  const { participant, visto } = lastSeen || await getLastSeen(chat, userId);
+  if (!participant) {
+    return false;
+  }
+
+  if (visto && !isAfter(message, visto)) {
+    return false;
+  }
+
+  await chat.markAsRead(userId, message._id);
+  return true;
+};
+
+/**
+ * Contar los mensajes no leídos de un usuario en varios chats con una sola agregación
+ * Cuenta los mensajes visibles de otros participantes posteriores a `ultimo_mensaje_visto`;
+ * sin puntero (o si el mensaje ya no existe) usa `fecha_ultimo_acceso` o `fecha_union`
+ * @param {object[]} chats - Chats (lean o documentos) con `participantes`
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Map<string, number>>} - Mensajes no leídos por ID de chat
+ */
+const countUnread = async (chats, userId) => {
+  const counts = new Map(chats.map(chat => [chat._id.toString(), 0]));
+
+  const pointers = chats
+    .filter(chat => chat.ultimo_mensaje?.mensaje_id)
+    .map(chat => ({
+      chat,
+      participant: chat.participantes.find(p =>
+        p.usuario && (p.usuario._id || p.usuario).toString() === userId.toString()
+      )
+    }))
+    .filter(({ participant }) => participant);
+
+  if (pointers.length === 0) {
+    return counts;
+  }
+
+  const vistoIds = pointers.map(({ participant }) => participant.ultimo_mensaje_visto).filter(Boolean);
+  const vistos = new Map(
+    (await Message.find({ _id: { $in: vistoIds } }).select('fecha_envio').lean())
+      .map(m => [m._id.toString(), m])
+  );
+
+  const desde = pointers.map(({ chat, participant }) => {
+    const visto = participant.ultimo_mensaje_visto && vistos.get(participant.ultimo_mensaje_visto.toString());
+    if (visto) {
+      return {
+        chat_id: chat._id,
+        $or: [
+          { fecha_envio: { $gt: visto.fecha_envio } },
+          { fecha_envio: visto.fecha_envio, _id: { $gt: visto._id } }
+        ]
+      };
+    }
+
+    return {
+      chat_id: chat._id,
+      fecha_envio: { $gt: participant.fecha_ultimo_acceso || participant.fecha_union || new Date(0) }
+    };
+  });
+
+  const totals = await Message.aggregate([
+    {
+      $match: {
+        $or: desde,
+        sender_id: { $ne: new mongoose.Types.ObjectId(userId.toString()) },
+        eliminado: false,
+        moderado: { $ne: true }
+      }
+    },
+    { $group: { _id: '$chat_id', total: { $sum: 1 } } }
+  ]);
+
+  totals.forEach(({ _id, total }) => counts.set(_id.toString(), total));
+  return counts;
+};
+
+/**
+ * Resumen de no leídos del usuario en todos sus chats activos (para badges)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<object>} - { total, total_chats, chats: [{ chat_id, mensajes_no_leidos, silenciado }] }
+ */
+const getUnreadSummary = async (userId) => {
+  const chats = await Chat.find({
+    participantes: { $elemMatch: { usuario: userId, activo: true } },
+    activo: true,
+    archivado: false
+  })
+    .select('participantes ultimo_mensaje')
+    .lean();
+
+  const counts = await countUnread(chats, userId);
+
+  const conNoLeidos = chats
+    .filter(chat => counts.get(chat._id.toString()) > 0)
+    .map(chat => ({
+      chat_id: chat._id,
+      mensajes_no_leidos: counts.get(chat._id.toString()),
+      silenciado: Boolean(chat.participantes.find(p =>
+        p.usuario.toString() === userId.toString()
+      )?.silenciado)
+    }));
+
+  return {
+    total: conNoLeidos.reduce((sum, chat) => sum + chat.mensajes_no_leidos, 0),
+    total_chats: conNoLeidos.length,
+    chats: conNoLeidos
+  };
+};
+
+// Máximo de mensajes por confirmación de entrega
+const MAX_ENTREGAS = 100;
+
+/**
+ * Registrar la entrega de mensajes al usuario y difundir `delivery_receipt` a la sala
+ * Ignora los mensajes propios y los que ya estaban marcados como entregados
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID de quien recibió los mensajes
+ * @param {string[]} messageIds - IDs de los mensajes recibidos (hasta MAX_ENTREGAS)
+ * @returns {Promise<object>} - Recibo difundido ({ message_ids } vacío si no hubo cambios)
+ */
+const markDelivered = async (chatId, userId, messageIds = []) => {
+  const chat = await getChatForParticipant(chatId, userId);
+
+  const ids = [...new Set((Array.isArray(messageIds) ? messageIds : [messageIds]).map(String))];
+  if (ids.length === 0 || ids.length > MAX_ENTREGAS) {
+    throw createError(400, `Debes indicar entre 1 y ${MAX_ENTREGAS} mensajes`);
+  }
+  if (!ids.every(id => mongoose.isValidObjectId(id))) {
+    throw createError(400, 'ID de mensaje no válido');
+  }
+
+  const filters = {
+    _id: { $in: ids },
+    chat_id: chat._id,
+    sender_id: { $ne: userId },
+    eliminado: false,
+    'entregado.usuario': { $ne: userId }
+  };
+
+  const pendientes = await Message.find(filters).select('_id').lean();
+  const receipt = {
+    chat_id: chat._id,
+    user_id: userId,
+    message_ids: pendientes.map(m => m._id),
+    fecha_entrega: new Date()
+  };
+
+  if (pendientes.length > 0) {
+    await Message.updateMany(
+      { ...filters, _id: { $in: receipt.message_ids } },
+      { $push: { entregado: { usuario: userId, fecha_entrega: receipt.fecha_entrega } } }
+    );
+
+    emitToChat(chat._id, 'delivery_receipt', receipt);
+  }
+
+  return receipt;
+};
+
+/**
+ * Marcar como leídos los mensajes de un chat hasta uno dado (incluido) y difundir
+ * `read_receipt` a la sala. Leer implica entrega, así que también completa `entregado`.
+ * Solo recorre desde el último mensaje visto (o la fecha de unión), no todo el historial
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID del lector
+ * @param {string} messageId - ID del último mensaje leído
+ * @returns {Promise<object>} - Recibo difundido
+ */
+const markRead = async (chatId, userId, messageId) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  const target = await getChatMessage(chat, messageId);
+
+  const lastSeen = await getLastSeen(chat, userId);
+  const desde = lastSeen.visto?.fecha_envio || lastSeen.participant?.fecha_union || new Date(0);
+
+  const fecha = new Date();
+  const filters = {
+    chat_id: chat._id,
+    sender_id: { $ne: userId },
+    eliminado: false,
+    fecha_envio: { $gte: desde, $lte: target.fecha_envio }
+  };
+
+  const { modifiedCount } = await Message.updateMany(
+    { ...filters, 'leido.usuario': { $ne: userId } },
+    { $push: { leido: { usuario: userId, fecha_lectura: fecha } } }
+  );
+  await Message.updateMany(
+    { ...filters, 'entregado.usuario': { $ne: userId } },
+    { $push: { entregado: { usuario: userId, fecha_entrega: fecha } } }
+  );
+
+  await advanceLastSeen(chat, userId, target, lastSeen);
+
+  const receipt = {
+    chat_id: chat._id,
+    user_id: userId,
+    message_id: target._id,
+    fecha_lectura: fecha,
+    total: modifiedCount
+  };
+
+  if (modifiedCount > 0) {
+    emitToChat(chat._id, 'read_receipt', receipt);
+  }
+
+  return receipt;
+};
+
+/**
+ * Lectores y entregas de un mensaje en un chat grupal, ordenados por fecha
+ * @param {string} chatId - ID del chat
+ * @param {string} userId - ID del participante que consulta
+ * @param {string} messageId - ID del mensaje
+ * @returns {Promise<object>} - { message_id, leido, entregado, pendientes }
+ */
+const getReadBy = async (chatId, userId, messageId) => {
+  const chat = await getChatForParticipant(chatId, userId);
+  if (chat.tipo === 'individual') {
+    throw createError(400, 'La lista de lectores solo está disponible en chats grupales');
+  }
+
+  const message = await getChatMessage(chat, messageId);
+  await message.populate([
+    { path: 'leido.usuario', select: 'name foto_perfil' },
+    { path: 'entregado.usuario', select: 'name foto_perfil' }
+  ]);
+
+  const byDate = (campo) => (a, b) => new Date(a[campo]) - new Date(b[campo]);
+  const leido = message.leido
+    .filter(l => l.usuario)
+    .map(l => ({ usuario: l.usuario, fecha_lectura: l.fecha_lectura }))
+    .sort(byDate('fecha_lectura'));
+  const entregado = message.entregado
+    .filter(e => e.usuario)
+    .map(e => ({ usuario: e.usuario, fecha_entrega: e.fecha_entrega }))
+    .sort(byDate('fecha_entrega'));
+
+  // Participantes activos (sin el emisor) que todavía no leen el mensaje;
+  // quienes leyeron y luego salieron del grupo no descuentan
+  const destinatarios = new Set(chat.participantes
+    .filter(p => p.activo && p.usuario.toString() !== message.sender_id.toString())
+    .map(p => p.usuario.toString()));
+  const leyeron = leido.filter(l => destinatarios.has(l.usuario._id.toString())).length;
+
+  return {
+    message_id: message._id,
+    leido,
+    entregado,
+    pendientes: destinatarios.size - leyeron
+  };
+};
+
+/**
+ * Agregar al mensaje los campos calculados para el emisor
+ * @param {Message} message - Mensaje recién creado
+ * @returns {object} - Mensaje enriquecido
+ */
+const enrichOwnMessage = (message) => ({
+  ...message.toObject(),
+  is_own: true,
+  total_reacciones: 0,
+  reacciones_resumen: [],
+  user_reaction: null,
+  read_by_count: 1,
+  can_edit: isWithinEditWindow(message),
+  can_delete: true
+});
+
+module.exports = {
+  isWithinEditWindow,
+  getChatForParticipant,
+  getChatMessage,
+  sendChatMessage,
+  toReceivedMessage,
+  forwardMessage,
+  summarizeReactions,
+  reactToMessage,
+  markDelivered,
+  markRead,
+  getReadBy,
+  advanceLastSeen,
+  countUnread,
+  getUnreadSummary,
+  refreshLastMessage,
+  editMessage,
+  deleteMessage,
+  enrichOwnMessage
+};
@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { notify } = require('./notificationService');
+const { refreshLastMessage } = require('./messageService');
+const { createError, logAction } = require('../utils/helpers');
+
+/**
+ * Servicio de moderación
+ * Cola de contenido reportado (posts, comentarios y mensajes) y acciones del
+ * moderador. Cada acción resuelve los reportes pendientes, llena los campos
+ * moderado/moderador/razon_moderacion, notifica al autor y queda en el log de auditoría.
+ */
+
+// Contenido moderable: modelo, campo del autor y cómo referenciarlo en la notificación
+const FUENTES = {
+  post: {
+    model: Post,
+    autor: 'autor',
+    nombre: 'publicación',
+    campos: { titulo: 1, contenido: 1 },
+    referencia: (doc) => ({ tipo: 'post', id: doc._id, tipo_modelo: 'Post' }),
+    datosExtra: () => ({})
+  },
+  comentario: {
+    model: Comment,
+    autor: 'autor',
+    nombre: 'comentario',
+    campos: { contenido: 1, post_id: 1 },
+    referencia: (doc) => ({ tipo: 'post', id: doc.post_id, tipo_modelo: 'Post' }),
+    datosExtra: (doc) => ({ comentario_id: doc._id })
+  },
+  mensaje: {
+    model: Message,
+    autor: 'sender_id',
+    nombre: 'mensaje',
+    campos: { contenido: 1, chat_id: 1 },
+    referencia: (doc) => ({ tipo: 'chat', id: doc.chat_id, tipo_modelo: 'Chat' }),
+    datosExtra: (doc) => ({ mensaje_id: doc._id })
+  }
+};
+
+const TIPOS_CONTENIDO = Object.keys(FUENTES);
+
+const ACCIONES = ['hide', 'restore', 'dismiss', 'warn'];
+
+// Acciones que requieren una razón para el autor
+const ACCIONES_CON_RAZON = ['hide', 'warn'];
+
+// Reportes sin `estado` (anteriores al campo) cuentan como pendientes al resolverlos;
+// la cola solo los encuentra tras la migración backfillReportStates
+const ES_PENDIENTE = { $eq: [{ $ifNull: ['$$this.estado', 'pendiente'] }, 'pendiente'] };
+const FILTRO_PENDIENTES = [{ 'r.estado': { $in: ['pendiente', null] } }];
+
+/**
+ * Etapas que llevan un tipo de contenido a la forma común de la cola
+ * @param {string} tipo - 'post' | 'comentario' | 'mensaje'
+ * @returns {object[]} - Etapas de agregación
+ */
+const queueStages = (tipo) => {
+  const { autor, campos } = FUENTES[tipo];
+
+  return [
+    // Cubierto por el índice { 'reportes.estado': 1 } de cada modelo
+    { $match: { 'reportes.estado': 'pendiente' } },
+    {
+      $project: {
+        ...campos,
+        tipo: { $literal: tipo },
+        autor: `$${autor}`,
+        moderado: 1,
+        reportado: 1,
+        createdAt: 1,
+        pendientes: { $filter: { input: '$reportes', cond: ES_PENDIENTE } }
+      }
+    },
+    {
+      $addFields: {
+        total_reportes: { $size: '$pendientes' },
+        primer_reporte: { $min: '$pendientes.fecha' },
+        razones: '$pendientes.razon'
+      }
+    },
+    { $project: { pendientes: 0 } }
+  ];
+};
+
+/**
+ * Listar la cola de moderación: contenido con reportes pendientes, primero el
+ * más reportado y, a igual cantidad, el que lleva más tiempo esperando
+ * @param {object} options - { tipo, page, limit }
+ * @returns {Promise<object>} - { items, pagination }
+ */
+const getQueue = async ({ tipo = null, page = 1, limit = 20 } = {}) => {
+  const [primero, ...resto] = tipo ? [tipo] : TIPOS_CONTENIDO;
+  const pageNum = Math.max(1, parseInt(page) || 1);
+
+  const [result] = await FUENTES[primero].model.aggregate([
+    ...queueStages(primero),
+    ...resto.map(t => ({
+      $unionWith: {
+        coll: FUENTES[t].model.collection.collectionName,
+        pipeline: queueStages(t)
+      }
+    })),
+    { $sort: { total_reportes: -1, primer_reporte: 1, _id: 1 } },
+    {
+      $facet: {
+        items: [
+          { $skip: (pageNum - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: User.collection.collectionName,
+              localField: 'autor',
+              foreignField: '_id',
+              pipeline: [{ $project: { name: 1, email: 1, foto_perfil: 1, role: 1 } }],
+              as: 'autor'
+            }
+          },
+          { $unwind: { path: '$autor', preserveNullAndEmptyArrays: true } }
+        ],
+        total: [{ $count: 'total' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.total || 0;
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    items: result.items,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      total,
+      limit,
+      hasNextPage: pageNum < totalPages,
+      hasPrevPage: pageNum > 1
+    }
+  };
+};
+
+/**
+ * Mantener los contadores de comentarios al ocultar o restaurar un comentario visible
+ * @param {object} comment - Comentario (con post_id y parent_id)
+ * @param {number} delta - -1 al ocultar, 1 al restaurar
+ */
+const updateCommentCounters = async (comment, delta) => {
+  await Promise.all([
+    Post.updateOne({ _id: comment.post_id }, { $inc: Post.commentCountInc(delta) }),
+    comment.parent_id && Comment.updateOne({ _id: comment.parent_id }, { $inc: { respuestas_count: delta } })
+  ]);
+};
+
+/**
+ * Texto de la notificación al autor según la acción
+ */
+const buildNotification = (accion, nombre, razon) => {
+  const motivo = razon ? ` Razón: ${razon.substring(0, 300)}` : '';
+
+  switch (accion) {
+    case 'hide':
+      return { titulo: 'Contenido ocultado', mensaje: `Un moderador ocultó tu ${nombre}.${motivo}` };
+    case 'restore':
+      return { titulo: 'Contenido restaurado', mensaje: `Un moderador restauró tu ${nombre}.${motivo}` };
+    case 'dismiss':
+      return { titulo: 'Reportes revisados', mensaje: `Se revisaron los reportes sobre tu ${nombre} y no se tomaron medidas.` };
+    default:
+      return { titulo: 'Advertencia de moderación', mensaje: `Recibiste una advertencia por tu ${nombre}.${motivo}` };
+  }
+};
+
+/**
+ * Aplicar una acción de moderación sobre un contenido
+ * @param {object} moderador - req.user del moderador
+ * @param {string} tipo - 'post' | 'comentario' | 'mensaje'
+ * @param {string} id - ID del contenido
+ * @param {string} accion - 'hide' | 'restore' | 'dismiss' | 'warn'
+ * @param {string} razon - Razón de la acción (obligatoria para hide y warn)
+ * @param {object} context - Datos de la petición para la auditoría ({ ip, userAgent })
+ * @returns {Promise<object>} - { tipo, id, accion, moderado, reportesResueltos }
+ */
+const moderate = async (moderador, tipo, id, accion, razon, context = {}) => {
+  const fuente = FUENTES[tipo];
+  if (!fuente) {
+    throw createError(400, 'Tipo de contenido no válido');
+  }
+  if (!mongoose.isValidObjectId(id)) {
+    throw createError(400, 'ID de contenido no válido');
+  }
+  if (ACCIONES_CON_RAZON.includes(accion) && !razon) {
+    throw createError(400, 'Debes indicar la razón de la acción');
+  }
+
+  const { model } = fuente;
+  const doc = await model.findById(id).lean();
+  if (!doc) {
+    throw createError(404, 'Contenido no encontrado');
+  }
+
+  const pendientes = (doc.reportes || []).filter(r => (r.estado || 'pendiente') === 'pendiente').length;
+  const now = new Date();
+
+  // Estado final de los reportes pendientes según la acción
+  const estadoReportes = accion === 'dismiss' ? 'descartado' : 'resuelto';
+  const resolverReportes = {
+    reportado: false,
+    'reportes.$[r].estado': estadoReportes,
+    'reportes.$[r].fecha_resolucion': now
+  };
+
+  let filtro = { _id: doc._id };
+  let cambios = { ...resolverReportes };
+
+  switch (accion) {
+    case 'hide':
+      filtro = { ...filtro, moderado: { $ne: true } };
+      cambios = { ...cambios, moderado: true, moderador: moderador.id, razon_moderacion: razon };
+      break;
+    case 'restore':
+      filtro = { ...filtro, moderado: true };
+      cambios = { moderado: false, moderador: moderador.id, razon_moderacion: razon || '' };
+      break;
+    case 'dismiss':
+      if (pendientes === 0) {
+        throw createError(409, 'El contenido no tiene reportes pendientes');
+      }
+      break;
+    case 'warn':
+      cambios = { ...cambios, moderador: moderador.id, razon_moderacion: razon };
+      break;
+    default:
+      throw createError(400, 'Acción de moderación no válida');
+  }
+
+  // El filtro condicional hace atómica la transición oculto <-> visible
+  const previo = await model.findOneAndUpdate(filtro, { $set: cambios }, {
+    new: false,
+    runValidators: true,
+    ...(cambios['reportes.$[r].estado'] ? { arrayFilters: FILTRO_PENDIENTES } : {})
+  }).lean();
+
+  if (!previo) {
+    throw createError(409, accion === 'hide' ? 'El contenido ya está oculto' : 'El contenido no está oculto');
+  }
+
+  // Los comentarios ocultos dejan de contar, igual que los eliminados
+  if (tipo === 'comentario' && !previo.eliminado && ['hide', 'restore'].includes(accion)) {
+    await updateCommentCounters(previo, accion === 'hide' ? -1 : 1);
+  }
+
+  // La vista previa del chat no debe mostrar un mensaje oculto (ni omitir uno restaurado)
+  if (tipo === 'mensaje' && ['hide', 'restore'].includes(accion)) {
+    await refreshLastMessage(doc.chat_id);
+  }
+
+  const autorId = doc[fuente.autor];
+  const { titulo, mensaje } = buildNotification(accion, fuente.nombre, razon);
+
+  await notify({
+    destinatario: autorId,
+    emisor: moderador.id,
+    tipo: 'moderacion_post',
+    titulo,
+    mensaje,
+    referencia: fuente.referencia(doc),
+    datos_extra: {
+      ...fuente.datosExtra(doc),
+      accion,
+      tipo_contenido: tipo,
+      razon: razon || null
+    }
+  });
+
+  logAction(
+    `MODERATION_${accion.toUpperCase()}`,
+    moderador.email,
+    `${tipo} ${doc._id} - Autor: ${autorId} - Reportes pendientes: ${pendientes} - Razón: ${razon || '-'}`,
+    {
+      ...context,
+      actor: moderador.id,
+      target: { type: tipo, id: doc._id },
+      metadata: { autor: autorId, razon: razon || null, reportes_pendientes: pendientes }
+    }
+  );
+
+  return {
+    tipo,
+    id: doc._id,
+    accion,
+    moderado: accion === 'hide' ? true : accion === 'restore' ? false : Boolean(doc.moderado),
+    reportesResueltos: accion === 'restore' ? 0 : pendientes
+  };
+};
+
+module.exports = {
+  TIPOS_CONTENIDO,
+  ACCIONES,
+  getQueue,
+  moderate
+};
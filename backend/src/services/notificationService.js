@@ -0,0 +1,52 @@
+const Notification = require('../models/Notification');
+const { emitToUser } = require('../sockets/io');
+
+/**
+ * Servicio de notificaciones
+ * Crea la notificación y la entrega en vivo por la sala personal del destinatario.
+ * Nunca lanza: una notificación fallida no debe romper la acción que la originó
+ */
+
+/**
+ * Crear y entregar una notificación
+ * @param {object} data - Datos para Notification.crearNotificacion
+ * @returns {Promise<Notification|null>} - Notificación creada/agrupada o null
+ */
+const notify = async (data) => {
+  try {
+    // Nadie se notifica a sí mismo
+    if (data.emisor && data.destinatario.toString() === data.emisor.toString()) {
+      return null;
+    }
+
+    const notification = await Notification.crearNotificacion(data);
+    if (!notification) {
+      return null;
+    }
+
+    await notification.populate('emisor', 'name foto_perfil');
+    emitToUser(notification.destinatario, 'notification', notification.toJSON());
+
+    return notification;
+  } catch (error) {
+    console.error(`Error creando notificación ${data.tipo}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Notificar a varios destinatarios con los mismos datos
+ * @param {string[]} destinatarios - IDs de usuario
+ * @param {object} data - Datos comunes de la notificación
+ * @returns {Promise<Array>} - Notificaciones creadas
+ */
+const notifyMany = async (destinatarios, data) => {
+  const unique = [...new Set(destinatarios.map(id => id.toString()))];
+  const results = await Promise.all(unique.map(destinatario => notify({ ...data, destinatario })));
+  return results.filter(Boolean);
+};
+
+module.exports = {
+  notify,
+  notifyMany
+};
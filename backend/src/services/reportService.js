@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { createError } = require('../utils/helpers');
+const { encodeCursor } = require('../utils/pagination');
+
+/**
+ * Servicio de reportes de contenido
+ * Los reportes se guardan en el arreglo `reportes` del contenido reportado.
+ * Cada usuario puede reportar un contenido una sola vez, y al acumular
+ * UMBRAL_REPORTES reportes pendientes el contenido queda marcado como `reportado`.
+ */
+
+const UMBRAL_REPORTES = 3;
+
+const ESTADOS_REPORTE = ['pendiente', 'resuelto', 'descartado'];
+
+/**
+ * Validar un ObjectId o lanzar 400
+ */
+const assertObjectId = (id, message) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw createError(400, message);
+  }
+};
+
+/**
+ * Rechazar el reporte del propio contenido
+ */
+const assertNotOwn = (autorId, user) => {
+  if (autorId.toString() === user.id.toString()) {
+    throw createError(400, 'No puedes reportar tu propio contenido');
+  }
+};
+
+/**
+ * Agregar un reporte al contenido (sin duplicados por usuario)
+ * @param {Model} model - Post, Comment o Message
+ * @param {ObjectId} id - ID del contenido
+ * @param {object} user - req.user de quien reporta
+ * @param {object} data - { razon, descripcion }
+ * @returns {Promise<object>} - Reporte creado
+ */
+const fileReport = async (model, id, user, { razon, descripcion }) => {
+  const reporte = {
+    _id: new mongoose.Types.ObjectId(),
+    usuario: user.id,
+    razon,
+    descripcion,
+    fecha: new Date(),
+    estado: 'pendiente'
+  };
+
+  // La condición sobre 'reportes.usuario' bloquea el reporte duplicado de forma atómica
+  const doc = await model.findOneAndUpdate(
+    { _id: id, 'reportes.usuario': { $ne: user.id } },
+    { $push: { reportes: reporte } },
+    { new: true, runValidators: true, projection: { reportado: 1, 'reportes.estado': 1 } }
+  );
+
+  if (!doc) {
+    throw createError(409, 'Ya reportaste este contenido');
+  }
+
+  const pendientes = doc.reportes.filter(r => r.estado === 'pendiente').length;
+  if (pendientes >= UMBRAL_REPORTES && !doc.reportado) {
+    await model.updateOne({ _id: id }, { reportado: true });
+  }
+
+  return {
+    _id: reporte._id,
+    razon: reporte.razon,
+    descripcion: reporte.descripcion,
+    estado: reporte.estado,
+    fecha: reporte.fecha
+  };
+};
+
+/**
+ * Reportar un post
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {object} data - { razon, descripcion }
+ * @returns {Promise<object>} - Reporte creado
+ */
+const reportPost = async (user, postId, data) => {
+  assertObjectId(postId, 'ID de post no válido');
+
+  const post = await Post.findById(postId).select('autor activo moderado').lean();
+  if (!post || !post.activo || post.moderado) {
+    throw createError(404, 'Post no encontrado');
+  }
+  assertNotOwn(post.autor, user);
+
+  return fileReport(Post, post._id, user, data);
+};
+
+/**
+ * Reportar un comentario
+ * @param {object} user - req.user
+ * @param {string} postId - ID del post
+ * @param {string} commentId - ID del comentario
+ * @param {object} data - { razon, descripcion }
+ * @returns {Promise<object>} - Reporte creado
+ */
+const reportComment = async (user, postId, commentId, data) => {
+  assertObjectId(postId, 'ID de post no válido');
+  assertObjectId(commentId, 'ID de comentario no válido');
+
+  const [comment, post] = await Promise.all([
+    Comment.findOne({ _id: commentId, post_id: postId, eliminado: false, moderado: { $ne: true } })
+      .select('autor')
+      .lean(),
+    Post.exists({ _id: postId, activo: true, moderado: { $ne: true } })
+  ]);
+  if (!comment || !post) {
+    throw createError(404, 'Comentario no encontrado');
+  }
+  assertNotOwn(comment.autor, user);
+
+  return fileReport(Comment, comment._id, user, data);
+};
+
+/**
+ * Reportar un mensaje de un chat del que el usuario es participante
+ * @param {object} user - req.user
+ * @param {string} chatId - ID del chat
+ * @param {string} messageId - ID del mensaje
+ * @param {object} data - { razon, descripcion }
+ * @returns {Promise<object>} - Reporte creado
+ */
+const reportMessage = async (user, chatId, messageId, data) => {
+  assertObjectId(chatId, 'ID de chat no válido');
+  assertObjectId(messageId, 'ID de mensaje no válido');
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw createError(404, 'Chat no encontrado');
+  }
+  if (!chat.isUserParticipant(user.id)) {
+    throw createError(403, 'No tienes acceso a este chat');
+  }
+
+  const message = await Message.findOne({ _id: messageId, chat_id: chat._id, eliminado: false })
+    .select('sender_id')
+    .lean();
+  if (!message) {
+    throw createError(404, 'Mensaje no encontrado');
+  }
+  assertNotOwn(message.sender_id, user);
+
+  return fileReport(Message, message._id, user, data);
+};
+
+// Colecciones consultadas para "mis reportes" y los campos de referencia de cada una
+const FUENTES_REPORTE = [
+  { tipo: 'post', model: Post, campos: { titulo: 1, contenido: 1 } },
+  { tipo: 'comentario', model: Comment, campos: { post_id: 1, contenido: 1 } },
+  { tipo: 'mensaje', model: Message, campos: { chat_id: 1, contenido: 1 } }
+];
+
+/**
+ * Listar los reportes enviados por un usuario con su estado, del más reciente al más antiguo
+ * @param {string} userId - ID del usuario
+ * @param {object} options - { estado, cursor (decodificado), limit }
+ * @returns {Promise<object>} - { reports, pagination }
+ */
+const listMyReports = async (userId, { estado = null, cursor = null, limit = 20 } = {}) => {
+  const usuario = new mongoose.Types.ObjectId(userId);
+
+  const filtros = [];
+  if (estado) {
+    // Los reportes anteriores al campo `estado` cuentan como pendientes
+    filtros.push({ 'reporte.estado': estado === 'pendiente' ? { $in: [estado, null] } : estado });
+  }
+  if (cursor) {
+    filtros.push({
+      $or: [
+        { 'reporte.fecha': { $lt: cursor.value } },
+        { 'reporte.fecha': cursor.value, 'reporte._id': { $lt: cursor.id } }
+      ]
+    });
+  }
+
+  const resultados = await Promise.all(FUENTES_REPORTE.map(async ({ tipo, model, campos }) => {
+    const docs = await model.aggregate([
+      { $match: { 'reportes.usuario': usuario } },
+      {
+        $project: {
+          ...campos,
+          reporte: {
+            $arrayElemAt: [
+              { $filter: { input: '$reportes', cond: { $eq: ['$$this.usuario', usuario] } } },
+              0
+            ]
+          }
+        }
+      },
+      ...filtros.map(filtro => ({ $match: filtro })),
+      { $sort: { 'reporte.fecha': -1, 'reporte._id': -1 } },
+      { $limit: limit + 1 }
+    ]);
+
+    return docs.map(doc => ({ tipo, doc }));
+  }));
+
+  const ordenados = resultados.flat().sort((a, b) =>
+    (b.doc.reporte.fecha - a.doc.reporte.fecha) ||
+    b.doc.reporte._id.toString().localeCompare(a.doc.reporte._id.toString())
+  );
+
+  const hasNextPage = ordenados.length > limit;
+  const pagina = ordenados.slice(0, limit);
+  const last = pagina[pagina.length - 1];
+
+  return {
+    reports: pagina.map(({ tipo, doc }) => ({
+      _id: doc.reporte._id,
+      tipo,
+      razon: doc.reporte.razon,
+      descripcion: doc.reporte.descripcion,
+      estado: doc.reporte.estado || 'pendiente',
+      fecha: doc.reporte.fecha,
+      fecha_resolucion: doc.reporte.fecha_resolucion || null,
+      contenido: {
+        _id: doc._id,
+        post_id: doc.post_id,
+        chat_id: doc.chat_id,
+        titulo: doc.titulo,
+        resumen: doc.contenido ? doc.contenido.substring(0, 100) : null
+      }
+    })),
+    pagination: {
+      limit,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(last.doc.reporte.fecha, last.doc.reporte._id) : null
+    }
+  };
+};
+
+module.exports = {
+  UMBRAL_REPORTES,
+  ESTADOS_REPORTE,
+  reportPost,
+  reportComment,
+  reportMessage,
+  listMyReports
+};
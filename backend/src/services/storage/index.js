@@ -0,0 +1,55 @@
+const { createLocalDiskStorage } = require('./localDiskStorage');
+
+/**
+ * Servicio de almacenamiento de archivos subidos
+ * El backend se elige con STORAGE_DRIVER (por ahora solo 'local').
+ *
+ * Un backend es cualquier objeto con la forma:
+ *   {
+ *     name: string,
+ *     save(key, buffer, { contentType }): Promise<{ key, url }>,
+ *     exists(key): Promise<boolean>,
+ *     remove(key): Promise<void>,
+ *     getUrl(key): string
+ *   }
+ * Un backend compatible con S3 solo tiene que implementar esta interfaz
+ * y registrarse en storageFactories.
+ */
+
+const storageFactories = {
+  local: createLocalDiskStorage
+};
+
+let currentStorage = null;
+
+/**
+ * Obtener el backend activo (se crea la primera vez que se usa)
+ * @returns {object} - Backend de almacenamiento
+ */
+const getStorage = () => {
+  if (!currentStorage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = storageFactories[name];
+
+    if (!factory) {
+      throw new Error(`Backend de almacenamiento desconocido: ${name}`);
+    }
+
+    currentStorage = factory();
+  }
+
+  return currentStorage;
+};
+
+/**
+ * Reemplazar el backend activo (tests o backends propios)
+ * @param {object|null} storage - Backend o null para volver a la configuración del entorno
+ */
+const setStorage = (storage) => {
+  currentStorage = storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '../../../uploads');
+
+/**
+ * Almacenamiento en disco local
+ * Los archivos se sirven como estáticos bajo /uploads (ver app.js).
+ * Configuración: UPLOAD_DIR, UPLOADS_PUBLIC_URL
+ * @param {object} options - { directory, publicUrl }
+ * @returns {object} - Backend con la interfaz { name, save, exists, remove, getUrl }
+ */
+const createLocalDiskStorage = (options = {}) => {
+  const directory = path.resolve(options.directory || process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+  const publicUrl = (
+    options.publicUrl ||
+    process.env.UPLOADS_PUBLIC_URL ||
+    `http://localhost:${process.env.PORT || 5000}/uploads`
+  ).replace(/\/+$/, '');
+
+  /**
+   * Ruta absoluta de una clave, sin permitir salir del directorio de subidas
+   * @param {string} key - Nombre almacenado
+   * @returns {string}
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(directory + path.sep)) {
+      throw new Error(`Clave de almacenamiento inválida: ${key}`);
+    }
+    return filePath;
+  };
+
+  const getUrl = (key) => `${publicUrl}/${encodeURIComponent(key)}`;
+
+  return {
+    name: 'local',
+    directory,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        // 'wx': el nombre es el hash del contenido, si ya existe es el mismo archivo
+        await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      return { key, url: getUrl(key) };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    getUrl
+  };
+};
+
+module.exports = { createLocalDiskStorage };
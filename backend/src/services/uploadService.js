@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+const { processImage } = require('./imageProcessor');
+const { PROPOSITOS, detectFileType, getMaxSize } = require('../utils/fileTypes');
+const { createError } = require('../utils/helpers');
+
+/**
+ * Servicio de subida de archivos
+ * Valida el tipo real y el tamaño, procesa las imágenes (ver imageProcessor),
+ * guarda el archivo con un nombre derivado de su contenido y arma la metadata
+ * que esperan Post, Message y User.
+ */
+
+const MB = 1024 * 1024;
+
+/**
+ * Limpiar el nombre original enviado por el cliente
+ * @param {string} originalName - Nombre recibido en el multipart
+ * @param {string} ext - Extensión detectada (para el nombre por defecto)
+ * @returns {string}
+ */
+const sanitizeOriginalName = (originalName, ext) => {
+  const nombre = path.basename(String(originalName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .slice(0, 255);
+
+  return nombre || `archivo.${ext}`;
+};
+
+/**
+ * Nombre de almacenamiento derivado del contenido
+ * @param {Buffer} buffer - Contenido final del archivo
+ * @param {string} ext - Extensión
+ * @returns {string}
+ */
+const contentHashName = (buffer, ext) => {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  return `${hash}.${ext}`;
+};
+
+/**
+ * Armar la metadata con la forma del schema de destino
+ * @param {string} proposito - 'post' | 'mensaje' | 'avatar'
+ * @param {object} file - { nombre_original, nombre_almacenado, url, tipo_mime, tipo, tamaño, dimensiones, thumbnail }
+ * @returns {object} - Objeto listo para Post.archivos, Message.archivo o User.foto_perfil
+ */
+const buildMetadata = (proposito, file) => {
+  switch (proposito) {
+    case 'post':
+      return {
+        nombre: file.nombre_original,
+        url: file.url,
+        tipo: file.tipo,
+        tamaño: file.tamaño,
+        ...(file.dimensiones && { dimensiones: file.dimensiones }),
+        ...(file.thumbnail && { thumbnail: file.thumbnail })
+      };
+    case 'avatar':
+      return {
+        url: file.url,
+        nombre_almacenado: file.nombre_almacenado,
+        tipo_mime: file.tipo_mime,
+        tamaño: file.tamaño,
+        dimensiones: file.dimensiones,
+        thumbnail: file.thumbnail
+      };
+    default:
+      return {
+        nombre_original: file.nombre_original,
+        nombre_almacenado: file.nombre_almacenado,
+        url: file.url,
+        tipo_mime: file.tipo_mime,
+        tamaño: file.tamaño,
+        ...(file.dimensiones && { dimensiones: file.dimensiones }),
+        ...(file.thumbnail && { thumbnail: file.thumbnail })
+      };
+  }
+};
+
+/**
+ * Procesar y guardar un archivo subido
+ * @param {object} upload - { buffer, originalName, proposito }
+ * @returns {Promise<object>} - Metadata según el propósito (ver buildMetadata)
+ */
+const processUpload = async ({ buffer, originalName, proposito }) => {
+  const config = PROPOSITOS[proposito];
+  if (!config) {
+    throw createError(400, 'Propósito de subida no válido', {
+      propositosValidos: Object.keys(PROPOSITOS)
+    });
+  }
+
+  if (!buffer || buffer.length === 0) {
+    throw createError(400, 'El archivo está vacío');
+  }
+
+  const fileType = await detectFileType(buffer);
+  if (!fileType || !config.tipos.includes(fileType.tipo)) {
+    throw createError(415, proposito === 'avatar'
+      ? 'La foto de perfil debe ser una imagen JPG, PNG, GIF o WEBP'
+      : 'Tipo de archivo no permitido');
+  }
+
+  const maxSize = getMaxSize(fileType.tipo, proposito);
+  if (buffer.length > maxSize) {
+    throw createError(413, `El archivo excede el tamaño máximo de ${maxSize / MB}MB para ${fileType.tipo}`);
+  }
+
+  let contenido = { buffer, mime: fileType.mime, ext: fileType.ext };
+  let thumbnailUrl = null;
+
+  if (fileType.tipo === 'imagen') {
+    contenido = await processImage(buffer, fileType, proposito);
+  }
+
+  const storage = getStorage();
+
+  // Mismo contenido → mismo nombre: evita duplicados y nombres predecibles por el cliente
+  const nombreAlmacenado = contentHashName(contenido.buffer, contenido.ext);
+  const { url } = await storage.save(nombreAlmacenado, contenido.buffer, {
+    contentType: contenido.mime
+  });
+
+  if (contenido.thumbnail) {
+    const { thumbnail } = contenido;
+    const saved = await storage.save(contentHashName(thumbnail.buffer, thumbnail.ext), thumbnail.buffer, {
+      contentType: thumbnail.mime
+    });
+    thumbnailUrl = saved.url;
+  }
+
+  // El nombre original conserva la base pero refleja la extensión final (avatares → .webp)
+  let nombreOriginal = sanitizeOriginalName(originalName, contenido.ext);
+  if (contenido.ext !== fileType.ext) {
+    nombreOriginal = `${path.parse(nombreOriginal).name || 'archivo'}.${contenido.ext}`.slice(-255);
+  }
+
+  return buildMetadata(proposito, {
+    nombre_original: nombreOriginal,
+    nombre_almacenado: nombreAlmacenado,
+    url,
+    tipo_mime: contenido.mime,
+    tipo: fileType.tipo,
+    tamaño: contenido.buffer.length,
+    dimensiones: contenido.dimensiones,
+    thumbnail: thumbnailUrl
+  });
+};
+
+module.exports = {
+  processUpload
+};
@@ -0,0 +1,196 @@
+const { protectSocket } = require('../middleware/auth');
+const {
+  getChatForParticipant,
+  sendChatMessage,
+  toReceivedMessage,
+  reactToMessage,
+  markDelivered,
+  markRead,
+  enrichOwnMessage
+} = require('../services/messageService');
+const { createResponse } = require('../utils/helpers');
+const { setIO, userRoom } = require('./io');
+
+/**
+ * Manejo de Socket.IO para chat en tiempo real
+ * Cada sala corresponde al _id de un Chat; solo sus participantes pueden unirse
+ */
+
+/**
+ * Responder al ack del cliente si lo envió
+ * @param {Function} ack - Callback de acknowledgement de Socket.IO
+ * @param {object} response - Respuesta con formato createResponse
+ */
+const reply = (ack, response) => {
+  if (typeof ack === 'function') {
+    ack(response);
+  }
+};
+
+/**
+ * Convertir un error del servicio en respuesta de ack
+ * @param {Error} error - Error lanzado por el servicio
+ * @param {string} context - Descripción para el log
+ * @returns {object} - Respuesta con formato createResponse
+ */
+const toErrorResponse = (error, context) => {
+  if (error.status) {
+    return createResponse(false, error.message, null, { status: error.status });
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return createResponse(false, 'Error de validación', null, { status: 400, errors: validationErrors });
+  }
+
+  console.error(`⚠️ Socket error (${context}):`, error);
+  return createResponse(false, 'Error interno del servidor', null, { status: 500 });
+};
+
+/**
+ * Configurar autenticación y eventos de chat sobre una instancia de Socket.IO
+ * @param {Server} io - Servidor de Socket.IO
+ */
+const initChatSocket = (io) => {
+  setIO(io);
+
+  // Same JWT as protect, socket.user mirrors req.user
+  io.use(protectSocket);
+
+  io.on('connection', (socket) => {
+    const { id: userId, name: userName } = socket.user;
+    console.log(`✅ Client connected: ${socket.id} (user ${userId})`);
+
+    // Personal room: notifications and other per-user events
+    socket.join(userRoom(userId));
+
+    // Chat rooms joined through join_room (excludes the socket's own and personal rooms)
+    const inChatRoom = (room) =>
+      room !== socket.id && room !== userRoom(userId) && socket.rooms.has(room);
+
+    // Join room for chat (room = chat id, participants only)
+    socket.on('join_room', async (room, ack) => {
+      try {
+        const chat = await getChatForParticipant(room, userId);
+        const chatRoom = chat._id.toString();
+
+        socket.join(chatRoom);
+        console.log(`🏠 User ${userId} joined room: ${chatRoom}`);
+        socket.to(chatRoom).emit('user_joined', {
+          userId,
+          userName,
+          room: chatRoom,
+          message: `${userName} joined the chat`,
+          timestamp: new Date()
+        });
+
+        reply(ack, createResponse(true, 'Unido al chat', { room: chatRoom }));
+      } catch (error) {
+        reply(ack, toErrorResponse(error, 'join_room'));
+      }
+    });
+
+    // Leave room for chat
+    socket.on('leave_room', (room, ack) => {
+      if (!inChatRoom(room)) {
+        return reply(ack, createResponse(false, 'No estás en este chat'));
+      }
+
+      socket.leave(room);
+      console.log(`🚪 User ${userId} left room: ${room}`);
+      socket.to(room).emit('user_left', {
+        userId,
+        userName,
+        room,
+        message: `${userName} left the chat`,
+        timestamp: new Date()
+      });
+
+      reply(ack, createResponse(true, 'Saliste del chat', { room }));
+    });
+
+    // Send message for chat: persisted through the same path as POST /api/chats/:id/messages
+    socket.on('send_message', async (data = {}, ack) => {
+      const { room, clientId } = data;
+
+      try {
+        const { message } = await sendChatMessage(room, userId, {
+          ...data,
+          contenido: data.contenido ?? data.message
+        });
+
+        io.to(message.chat_id.toString()).emit('receive_message', toReceivedMessage(message, clientId));
+
+        reply(ack, createResponse(true, 'Mensaje enviado exitosamente', {
+          _id: message._id,
+          clientId,
+          message: enrichOwnMessage(message)
+        }));
+      } catch (error) {
+        reply(ack, toErrorResponse(error, 'send_message'));
+      }
+    });
+
+    // React to a message: same path as POST /api/chats/:id/messages/:messageId/reactions,
+    // the service broadcasts message_reaction to the chat room
+    socket.on('react_message', async (data = {}, ack) => {
+      try {
+        const reaction = await reactToMessage(data.room, userId, data.messageId, data.emoji);
+        reply(ack, createResponse(true, 'Reacción registrada', { reaction }));
+      } catch (error) {
+        reply(ack, toErrorResponse(error, 'react_message'));
+      }
+    });
+
+    // Delivery receipts: the service broadcasts delivery_receipt to the chat room
+    socket.on('message_delivered', async (data = {}, ack) => {
+      try {
+        const receipt = await markDelivered(data.room, userId, data.messageIds ?? data.messageId);
+        reply(ack, createResponse(true, 'Entrega registrada', { receipt }));
+      } catch (error) {
+        reply(ack, toErrorResponse(error, 'message_delivered'));
+      }
+    });
+
+    // Read receipts up to messageId (inclusive): the service broadcasts read_receipt to the chat room
+    socket.on('messages_read', async (data = {}, ack) => {
+      try {
+        const receipt = await markRead(data.room, userId, data.messageId);
+        reply(ack, createResponse(true, 'Lectura registrada', { receipt }));
+      } catch (error) {
+        reply(ack, toErrorResponse(error, 'messages_read'));
+      }
+    });
+
+    // Typing indicators (only towards rooms the socket actually joined)
+    socket.on('typing_start', (data = {}) => {
+      if (!inChatRoom(data.room)) return;
+      socket.to(data.room).emit('user_typing', {
+        userId,
+        userName,
+        room: data.room,
+        isTyping: true
+      });
+    });
+
+    socket.on('typing_stop', (data = {}) => {
+      if (!inChatRoom(data.room)) return;
+      socket.to(data.room).emit('user_typing', {
+        userId,
+        userName,
+        room: data.room,
+        isTyping: false
+      });
+    });
+
+    socket.on('disconnect', (reason) => {
+      console.log(`🔌 Client disconnected: ${socket.id} (user ${userId}) - ${reason}`);
+    });
+
+    socket.on('error', (error) => {
+      console.error(`⚠️ Socket error: ${socket.id}`, error);
+    });
+  });
+};
+
+module.exports = { initChatSocket };
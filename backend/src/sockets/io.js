@@ -0,0 +1,56 @@
+/**
+ * Acceso compartido a la instancia de Socket.IO
+ * Permite a servicios y controladores emitir eventos sin recibir `io` por parámetro
+ */
+
+let ioInstance = null;
+
+const setIO = (io) => {
+  ioInstance = io;
+};
+
+const getIO = () => ioInstance;
+
+/**
+ * Sala personal de un usuario (todas sus conexiones se unen al conectarse)
+ * @param {string} userId - ID del usuario
+ * @returns {string} - Nombre de la sala
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Emitir un evento a todas las conexiones de un usuario
+ * No hace nada si Socket.IO no está inicializado (scripts, tests)
+ */
+const emitToUser = (userId, event, payload) => {
+  if (ioInstance) {
+    ioInstance.to(userRoom(userId.toString())).emit(event, payload);
+  }
+};
+
+/**
+ * Emitir un evento a la sala de un chat
+ */
+const emitToChat = (chatId, event, payload) => {
+  if (ioInstance) {
+    ioInstance.to(chatId.toString()).emit(event, payload);
+  }
+};
+
+/**
+ * Cerrar todas las conexiones de un usuario (por ejemplo, al suspender su cuenta)
+ */
+const disconnectUser = (userId) => {
+  if (ioInstance) {
+    ioInstance.in(userRoom(userId.toString())).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  setIO,
+  getIO,
+  userRoom,
+  emitToUser,
+  emitToChat,
+  disconnectUser
+};
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Escritura por lotes del registro de auditoría
+ * Las entradas se acumulan en memoria y se insertan con insertMany cada
+ * FLUSH_INTERVAL ms o al llegar a BATCH_SIZE. Quien registra nunca espera la
+ * escritura, y un fallo de la base de datos no rompe la acción que se registra.
+ */
+
+const FLUSH_INTERVAL = 2000;
+const BATCH_SIZE = 100;
+
+// Sin conexión se conservan las entradas más recientes hasta este límite
+const MAX_BUFFER = 5000;
+
+// Eventos de ruido (cualquier petición anónima los genera): solo se muestran en consola
+const SOLO_CONSOLA = new Set(['AUTH_NO_TOKEN', 'SOCKET_AUTH_NO_TOKEN']);
+
+let buffer = [];
+let timer = null;
+let flushing = null;
+
+/**
+ * Datos de auditoría de una petición HTTP (IP, user agent y usuario autenticado)
+ * @param {Request} req - Petición de Express
+ * @returns {object} - { actor, ip, userAgent }
+ */
+const requestContext = (req) => ({
+  actor: req.user?.id || null,
+  ip: req.ip || req.connection?.remoteAddress || null,
+  userAgent: req.get ? req.get('User-Agent') || null : null
+});
+
+/**
+ * Normalizar una entrada antes de encolarla
+ */
+const buildEntry = (action, user, details, context) => {
+  const { req, actor, target, ip, userAgent, metadata } = context;
+  const fromRequest = req ? requestContext(req) : {};
+
+  // logAction recibe un email, un ID o 'anonymous': un ID válido también identifica al actor
+  const label = user ? String(user) : null;
+  const actorId = actor || fromRequest.actor ||
+    (label && mongoose.isValidObjectId(label) && !label.includes('@') ? label : null);
+
+  return {
+    action,
+    actor: actorId,
+    actorEmail: label,
+    target: {
+      type: target?.type || null,
+      id: target?.id && mongoose.isValidObjectId(target.id) ? target.id : null
+    },
+    ip: ip || fromRequest.ip || null,
+    userAgent: (userAgent || fromRequest.userAgent || '').substring(0, 500) || null,
+    details: String(details || '').substring(0, 2000),
+    metadata: metadata || {},
+    createdAt: new Date()
+  };
+};
+
+/**
+ * Devolver al buffer un lote que no se pudo escribir, para reintentarlo en la
+ * siguiente escritura. Las entradas rechazadas una por una (writeErrors) no se
+ * reintentan porque volverían a fallar; el resto sí, con el mismo tope MAX_BUFFER
+ * @param {object[]} batch - Lote que falló
+ * @param {Error} error - Error de insertMany
+ */
+const requeue = (batch, error) => {
+  // Con writeErrors el resto del lote ya se insertó (ordered: false)
+  if (error.writeErrors?.length > 0) {
+    return;
+  }
+
+  buffer = [...batch, ...buffer];
+  if (buffer.length > MAX_BUFFER) {
+    buffer.splice(0, buffer.length - MAX_BUFFER);
+  }
+};
+
+/**
+ * Insertar las entradas pendientes
+ * Sin conexión a MongoDB, o si la escritura falla, las entradas esperan al siguiente intento.
+ * @returns {Promise<number>} - Cantidad de entradas escritas
+ */
+const flush = async () => {
+  if (flushing) {
+    return flushing;
+  }
+
+  if (buffer.length === 0) {
+    return 0;
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    schedule();
+    return 0;
+  }
+
+  const batch = buffer;
+  buffer = [];
+
+  flushing = AuditLog.insertMany(batch, { ordered: false })
+    .then(() => batch.length)
+    .catch(error => {
+      console.error(`Error escribiendo ${batch.length} entradas de auditoría:`, error.message);
+      requeue(batch, error);
+      return 0;
+    })
+    .finally(() => {
+      flushing = null;
+      if (buffer.length > 0) {
+        schedule();
+      }
+    });
+
+  return flushing;
+};
+
+/**
+ * Programar la próxima escritura (el timer no mantiene vivo el proceso)
+ */
+const schedule = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setTimeout(() => {
+    timer = null;
+    flush();
+  }, FLUSH_INTERVAL);
+  timer.unref();
+};
+
+/**
+ * Escribir todas las entradas pendientes antes de cerrar el proceso
+ * Espera la escritura en curso y vacía el buffer por lotes, con un tiempo máximo
+ * para no bloquear el apagado si MongoDB no responde
+ * @param {number} timeout - Milisegundos máximos de espera
+ * @returns {Promise<number>} - Cantidad de entradas escritas
+ */
+const flushAll = async (timeout = 5000) => {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  let written = 0;
+  let expired = false;
+  const deadline = new Promise(resolve => {
+    setTimeout(() => {
+      expired = true;
+      resolve(0);
+    }, timeout).unref();
+  });
+
+  while ((buffer.length > 0 || flushing) && !expired && mongoose.connection.readyState === 1) {
+    const escritas = await Promise.race([flush(), deadline]);
+    // Un lote que falló vuelve al buffer: no reintentarlo en bucle hasta el tiempo máximo
+    if (escritas === 0) {
+      break;
+    }
+    written += escritas;
+  }
+
+  if (buffer.length > 0) {
+    console.error(`${buffer.length} entradas de auditoría sin escribir al cerrar`);
+  }
+
+  return written;
+};
+
+/**
+ * Encolar una entrada de auditoría (los eventos de SOLO_CONSOLA no se guardan)
+ * @param {string} action - Nombre del evento
+ * @param {string} user - Email, ID o 'anonymous'
+ * @param {string} details - Detalle en texto
+ * @param {object} context - { req, actor, target: { type, id }, ip, userAgent, metadata }
+ */
+const record = (action, user, details = '', context = {}) => {
+  if (SOLO_CONSOLA.has(action)) {
+    return;
+  }
+
+  buffer.push(buildEntry(action, user, details, context));
+
+  if (buffer.length > MAX_BUFFER) {
+    buffer.splice(0, buffer.length - MAX_BUFFER);
+  }
+
+  if (buffer.length >= BATCH_SIZE) {
+    flush();
+  } else {
+    schedule();
+  }
+};
+
+module.exports = {
+  requestContext,
+  record,
+  flush,
+  flushAll
+};
@@ -0,0 +1,112 @@
+const FileType = require('file-type');
+
+/**
+ * Tipos de archivo permitidos en las subidas
+ * El tipo real se detecta por los bytes del archivo (magic numbers);
+ * el Content-Type y la extensión que envía el cliente no se usan para decidir.
+ */
+
+const MB = 1024 * 1024;
+
+// Límite absoluto (mismo máximo que archivoSchema en Message.js)
+const MAX_FILE_SIZE = 50 * MB;
+
+// Tamaño máximo por categoría de archivo
+const LIMITES_POR_TIPO = {
+  imagen: 10 * MB,
+  documento: 20 * MB,
+  audio: 20 * MB,
+  video: 50 * MB
+};
+
+// Límites propios de cada propósito de subida
+const PROPOSITOS = {
+  post: { tipos: ['imagen', 'documento', 'video', 'audio'] },
+  mensaje: { tipos: ['imagen', 'documento', 'video', 'audio'] },
+  avatar: { tipos: ['imagen'], tamañoMaximo: 5 * MB }
+};
+
+// MIME detectado → extensión de almacenamiento y categoría (enum `tipo` de Post.archivos)
+const TIPOS_PERMITIDOS = {
+  'image/jpeg': { ext: 'jpg', tipo: 'imagen' },
+  'image/png': { ext: 'png', tipo: 'imagen' },
+  'image/gif': { ext: 'gif', tipo: 'imagen' },
+  'image/webp': { ext: 'webp', tipo: 'imagen' },
+  'application/pdf': { ext: 'pdf', tipo: 'documento' },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: 'docx', tipo: 'documento' },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: 'xlsx', tipo: 'documento' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { ext: 'pptx', tipo: 'documento' },
+  'text/plain': { ext: 'txt', tipo: 'documento' },
+  'audio/mpeg': { ext: 'mp3', tipo: 'audio' },
+  'audio/ogg': { ext: 'ogg', tipo: 'audio' },
+  'audio/opus': { ext: 'opus', tipo: 'audio' },
+  'audio/vnd.wave': { ext: 'wav', tipo: 'audio' },
+  'audio/aac': { ext: 'aac', tipo: 'audio' },
+  'audio/x-m4a': { ext: 'm4a', tipo: 'audio' },
+  'audio/mp4': { ext: 'm4a', tipo: 'audio' },
+  'video/mp4': { ext: 'mp4', tipo: 'video' },
+  'video/webm': { ext: 'webm', tipo: 'video' },
+  'video/quicktime': { ext: 'mov', tipo: 'video' }
+};
+
+/**
+ * Heurística para texto plano (no tiene magic number):
+ * UTF-8 válido y sin bytes nulos ni caracteres de control binarios
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {boolean}
+ */
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+
+  for (const byte of sample) {
+    if (byte === 0 || (byte < 32 && ![9, 10, 13].includes(byte))) {
+      return false;
+    }
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Detectar el tipo real de un archivo a partir de su contenido
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Promise<object|null>} - { mime, ext, tipo } o null si no está permitido
+ */
+const detectFileType = async (buffer) => {
+  const detected = await FileType.fromBuffer(buffer);
+
+  if (!detected) {
+    return buffer.length > 0 && isPlainText(buffer)
+      ? { mime: 'text/plain', ...TIPOS_PERMITIDOS['text/plain'] }
+      : null;
+  }
+
+  const permitido = TIPOS_PERMITIDOS[detected.mime];
+  return permitido ? { mime: detected.mime, ...permitido } : null;
+};
+
+/**
+ * Tamaño máximo permitido para una categoría y propósito
+ * @param {string} tipo - Categoría ('imagen', 'documento', 'audio', 'video')
+ * @param {string} proposito - 'post' | 'mensaje' | 'avatar'
+ * @returns {number} - Bytes
+ */
+const getMaxSize = (tipo, proposito) => {
+  const limite = LIMITES_POR_TIPO[tipo] || MAX_FILE_SIZE;
+  const limiteProposito = PROPOSITOS[proposito]?.tamañoMaximo || MAX_FILE_SIZE;
+  return Math.min(limite, limiteProposito, MAX_FILE_SIZE);
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  LIMITES_POR_TIPO,
+  PROPOSITOS,
+  TIPOS_PERMITIDOS,
+  detectFileType,
+  getMaxSize
+};
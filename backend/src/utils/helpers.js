@@ -1,15 +1,17 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const auditLog = require('./auditLog');
 
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
 const generateTokens = (userId) => {
-  const accessToken = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+  const accessToken = jwt.sign({ id: userId, type: 'access' }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
   });
 
-  const refreshToken = jwt.sign({ id: userId }, process.env.JWT_REFRESH_SECRET, {
+  const refreshToken = jwt.sign({ id: userId, type: 'refresh' }, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE,
   });
 
@@ -26,6 +28,10 @@ const generateRandomCode = (length = 6) => {
   return Math.random().toString(36).substring(2, 2 + length).toUpperCase();
 };
 
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
@@ -45,6 +51,13 @@ const formatDate = (date) => {
   });
 };
 
+// Mensaje para una cuenta suspendida, con la razón y la fecha de término
+const suspensionMessage = (suspension) => {
+  const hasta = suspension?.hasta ? ` hasta el ${formatDate(suspension.hasta)}` : ' de forma indefinida';
+  const razon = suspension?.razon ? `. Razón: ${suspension.razon}` : '';
+  return `Tu cuenta está suspendida${hasta}${razon}`;
+};
+
 const createResponse = (success = true, message = '', data = null, error = null) => {
   return {
     success,
@@ -55,9 +68,51 @@ const createResponse = (success = true, message = '', data = null, error = null)
   };
 };
 
-const logAction = (action, user, details = '') => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${action} - Usuario: ${user} - ${details}`);
+const createError = (status, message, data = null) => {
+  const error = new Error(message);
+  error.status = status;
+  if (data) error.data = data;
+  return error;
+};
+
+/**
+ * Responder el error de un servicio: los de createError con su status, los de
+ * validación de Mongoose con 400 y el resto con 500
+ * @param {Response} res - Respuesta de Express
+ * @param {Error} error - Error capturado
+ * @param {string} context - Acción en curso para el log (p. ej. 'listando comentarios')
+ */
+const handleServiceError = (res, error, context) => {
+  if (error.status) {
+    return res.status(error.status).json(createResponse(false, error.message, null, error.data));
+  }
+
+  if (error.name === 'ValidationError') {
+    const validationErrors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json(createResponse(false, 'Error de validación', null, {
+      errors: validationErrors
+    }));
+  }
+
+  console.error(`Error ${context}:`, error);
+  res.status(500).json(createResponse(false, 'Error interno del servidor', null, error.message));
+};
+
+/**
+ * Registrar un evento de seguridad, moderación o administración
+ * Se guarda en AuditLog por lotes (sin bloquear) y en desarrollo también se muestra en consola.
+ * @param {string} action - Nombre del evento (p. ej. AUTH_INVALID_TOKEN)
+ * @param {string} user - Email, ID o 'anonymous'
+ * @param {string} details - Detalle en texto
+ * @param {object} context - { req, actor, target: { type, id }, ip, userAgent, metadata }
+ */
+const logAction = (action, user, details = '', context = {}) => {
+  auditLog.record(action, user, details, context);
+
+  if (process.env.NODE_ENV !== 'production') {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] ${action} - Usuario: ${user} - ${details}`);
+  }
 };
 
 module.exports = {
@@ -65,9 +120,13 @@ module.exports = {
   generateTokens,
   sanitizeUser,
   generateRandomCode,
+  hashToken,
   validateEmail,
   validatePassword,
   formatDate,
   createResponse,
-  logAction
+  createError,
+  handleServiceError,
+  logAction,
+  suspensionMessage
 };
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Resolución de preferencias de notificación
+ * Traduce User.configuracion.notificaciones y los silencios por chat
+ * a los flags `canales` de una Notification
+ */
+
+// Categoría de preferencia que controla cada tipo de notificación.
+// 'sistema' no se puede desactivar (moderación, verificación, avisos).
+const CATEGORIA_POR_TIPO = {
+  mensaje_nuevo: 'mensajes',
+  mencion: 'mensajes',
+  chat_agregado: 'mensajes',
+  like_post: 'publicaciones',
+  comentario_post: 'publicaciones',
+  respuesta_comentario: 'publicaciones',
+  nuevo_seguidor: 'publicaciones',
+  post_destacado: 'publicaciones',
+  evento_recordatorio: 'publicaciones',
+  moderacion_post: 'sistema',
+  verificacion_cuenta: 'sistema',
+  sistema: 'sistema'
+};
+
+// Tipos que llegan aunque el chat esté silenciado
+const TIPOS_IGNORAN_SILENCIO = ['mencion'];
+
+/**
+ * Obtener la categoría de preferencia de un tipo de notificación
+ * @param {string} tipo - Tipo de notificación
+ * @returns {string} - 'mensajes' | 'publicaciones' | 'sistema'
+ */
+const getCategoria = (tipo) => CATEGORIA_POR_TIPO[tipo] || 'sistema';
+
+/**
+ * Indica si el chat está silenciado para el usuario
+ * @param {object} chat - Chat (documento o lean) con participantes y configuracion
+ * @param {string} userId - ID del usuario
+ * @returns {boolean}
+ */
+const isChatMuted = (chat, userId) => {
+  if (!chat) return false;
+
+  if (chat.configuracion?.notificaciones_silenciadas) {
+    return true;
+  }
+
+  const participante = (chat.participantes || []).find(p =>
+    (p.usuario._id || p.usuario).toString() === userId.toString() && p.activo
+  );
+
+  return Boolean(participante?.silenciado);
+};
+
+/**
+ * Resolver si se crea la notificación y por qué canales se entrega
+ * @param {object} usuario - Destinatario con `configuracion.notificaciones`
+ * @param {string} tipo - Tipo de notificación
+ * @param {object} options - { chat } para aplicar silencios del chat
+ * @returns {{ enabled: boolean, categoria: string, canales: object }}
+ */
+const resolveChannels = (usuario, tipo, { chat = null } = {}) => {
+  const prefs = usuario.configuracion?.notificaciones || {};
+  const categoria = getCategoria(tipo);
+
+  // Las preferencias ausentes cuentan como activadas (mismos defaults que el schema)
+  const enabled = categoria === 'sistema' || prefs[categoria] !== false;
+  const muted = isChatMuted(chat, usuario._id) && !TIPOS_IGNORAN_SILENCIO.includes(tipo);
+
+  return {
+    enabled,
+    categoria,
+    canales: {
+      en_app: true,
+      push: enabled && !muted && prefs.push !== false,
+      email: enabled && !muted && prefs.email !== false
+    }
+  };
+};
+
+module.exports = {
+  CATEGORIA_POR_TIPO,
+  getCategoria,
+  isChatMuted,
+  resolveChannels
+};
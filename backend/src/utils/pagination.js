@@ -0,0 +1,200 @@
+/**
+ * Paginación por cursor
+ * El cursor es opaco: codifica el valor del campo de orden y el _id del elemento
+ * en el borde de la página (desempate), más la dirección ('next' o 'prev').
+ * Así los documentos nuevos no desplazan ni duplican elementos entre páginas.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Leer un campo (admite rutas con puntos) de un documento plano
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Codificar un cursor
+ * @param {*} value - Valor del campo de orden (Date, número, texto o null si falta)
+ * @param {ObjectId|string} id - _id del documento
+ * @param {string} direction - 'next' | 'prev'
+ * @returns {string} - Cursor en base64url
+ */
+const encodeCursor = (value, id, direction = 'next') => Buffer.from(JSON.stringify({
+  v: value instanceof Date ? { $date: value.toISOString() } : (value ?? null),
+  id: id.toString(),
+  d: direction
+})).toString('base64url');
+
+/**
+ * Decodificar el cursor recibido; retorna null si no es válido
+ * @param {string} cursor - Cursor en base64url
+ * @returns {{ value: *, id: ObjectId, direction: string }|null}
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id, d = 'next' } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.isValidObjectId(id) || !['next', 'prev'].includes(d)) {
+      return null;
+    }
+
+    let value = v;
+    if (v === null) {
+      value = null;
+    } else if (typeof v === 'object') {
+      value = new Date(v.$date);
+      if (isNaN(value.getTime())) return null;
+    } else if (!['string', 'number'].includes(typeof v)) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id), direction: d };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filtro para los elementos posteriores al cursor según el orden recorrido
+ * Mongo ordena null (o campo ausente) antes que cualquier valor: en orden ascendente
+ * los nulos van primero y en descendente al final
+ * @param {string} field - Campo de orden
+ * @param {number} order - 1 ascendente, -1 descendente
+ * @param {{ value: *, id: ObjectId }} decoded - Cursor decodificado
+ * @returns {object} - Condición $or para el filtro de Mongo
+ */
+const cursorFilter = (field, order, decoded) => {
+  const op = order === 1 ? '$gt' : '$lt';
+
+  if (decoded.value === null) {
+    return {
+      $or: [
+        ...(order === 1 ? [{ [field]: { $ne: null } }] : []),
+        { [field]: null, _id: { [op]: decoded.id } }
+      ]
+    };
+  }
+
+  return {
+    $or: [
+      { [field]: { [op]: decoded.value } },
+      { [field]: decoded.value, _id: { [op]: decoded.id } },
+      ...(order === -1 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * Normalizar el límite de página
+ * @param {*} limit - Valor recibido en la query
+ * @param {number} defaultLimit - Límite por defecto
+ * @param {number} maxLimit - Límite máximo
+ * @returns {number}
+ */
+const parseLimit = (limit, defaultLimit = 20, maxLimit = 50) =>
+  Math.min(maxLimit, Math.max(1, parseInt(limit) || defaultLimit));
+
+/**
+ * Paginar una consulta
+ * - Con `cursor`: paginación por cursor (sin skip ni countDocuments).
+ * - Con `page` y sin cursor: modo clásico por número de página (compatibilidad),
+ *   que además devuelve cursores para continuar sin skip.
+ * - Sin ninguno: primera página por cursor.
+ *
+ * @param {Model} model - Modelo de Mongoose
+ * @param {object} filters - Filtros de la consulta
+ * @param {object} options
+ * @param {string} options.sortField - Campo de orden (admite documentos sin el campo)
+ * @param {number} options.order - 1 ascendente, -1 descendente
+ * @param {object|null} options.cursor - Cursor decodificado
+ * @param {number} [options.page] - Página (modo clásico)
+ * @param {number} options.limit - Elementos por página
+ * @param {Function} [options.build] - Agrega populate/select/lean a la consulta
+ * @param {string} [options.totalKey] - Nombre del total en modo clásico (p. ej. 'totalPosts')
+ * @returns {Promise<{ items: object[], pagination: object }>}
+ */
+const paginate = async (model, filters, {
+  sortField,
+  order = -1,
+  cursor = null,
+  page,
+  limit = 20,
+  build = (query) => query,
+  totalKey = 'total'
+}) => {
+  const usePages = !cursor && page !== undefined;
+  const direction = cursor?.direction || 'next';
+
+  // Para 'prev' se recorre en sentido contrario y luego se invierte la página
+  const queryOrder = direction === 'prev' ? -order : order;
+  const queryFilters = cursor
+    ? { $and: [filters, cursorFilter(sortField, queryOrder, cursor)] }
+    : filters;
+
+  let query = model.find(queryFilters).sort({ [sortField]: queryOrder, _id: queryOrder });
+
+  if (usePages) {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    query = query.skip((pageNum - 1) * limit).limit(limit);
+
+    const [items, total] = await Promise.all([
+      build(query),
+      model.countDocuments(filters)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+    const first = items[0];
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        [totalKey]: total,
+        limit,
+        hasNextPage,
+        hasPrevPage,
+        nextPage: hasNextPage ? pageNum + 1 : null,
+        prevPage: hasPrevPage ? pageNum - 1 : null,
+        nextCursor: hasNextPage && last ? encodeCursor(getPath(last, sortField), last._id, 'next') : null,
+        prevCursor: hasPrevPage && first ? encodeCursor(getPath(first, sortField), first._id, 'prev') : null
+      }
+    };
+  }
+
+  const docs = await build(query.limit(limit + 1));
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  // Si se llegó retrocediendo, el elemento del cursor sigue existiendo después
+  const hasNextPage = direction === 'next' ? hasMore : true;
+  const hasPrevPage = direction === 'prev' ? hasMore : Boolean(cursor);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && last ? encodeCursor(getPath(last, sortField), last._id, 'next') : null,
+      prevCursor: hasPrevPage && first ? encodeCursor(getPath(first, sortField), first._id, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  parseLimit,
+  paginate
+};
@@ -0,0 +1,38 @@
+const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+// Razones aceptadas en los reportes de posts, comentarios y mensajes
+const RAZONES_REPORTE = ['spam', 'ofensivo', 'inapropiado', 'acoso', 'otro'];
+
+const reportValidation = [
+  body('razon')
+    .isIn(RAZONES_REPORTE)
+    .withMessage(`La razón debe ser una de: ${RAZONES_REPORTE.join(', ')}`),
+
+  body('descripcion')
+    .optional()
+    .isString()
+    .withMessage('La descripción debe ser texto')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres')
+];
+
+// Rate limiting para reportes: una sola instancia (y un solo contador) para
+// posts, comentarios y mensajes
+const reportLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 20, // máximo 20 reportes por hora
+  message: {
+    success: false,
+    message: 'Demasiados reportes enviados. Intenta de nuevo más tarde.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = {
+  RAZONES_REPORTE,
+  reportValidation,
+  reportLimit
+};
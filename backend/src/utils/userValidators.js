@@ -70,7 +70,28 @@ const updateProfileValidation = [
   body('year')
     .optional()
     .isInt({ min: 1, max: 6 })
-    .withMessage('El año debe estar entre 1 y 6')
+    .withMessage('El año debe estar entre 1 y 6'),
+
+  body('configuracion.notificaciones.resumen')
+    .optional()
+    .isIn(['off', 'daily', 'weekly'])
+    .withMessage('La frecuencia del resumen debe ser off, daily o weekly'),
+
+  body([
+    'configuracion.notificaciones.email',
+    'configuracion.notificaciones.push',
+    'configuracion.notificaciones.mensajes',
+    'configuracion.notificaciones.publicaciones'
+  ])
+    .optional()
+    .isBoolean()
+    .withMessage('Las preferencias de notificación deben ser true o false'),
+
+  body('configuracion.privacidad.perfil_publico')
+    .optional()
+    .isBoolean()
+    .withMessage('perfil_publico debe ser true o false')
+    .toBoolean()
 ];
 
 const changePasswordValidation = [